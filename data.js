@@ -0,0 +1,763 @@
+/* =========================================================
+   MONTH KEYS
+   ========================================================= */
+
+// Month keys ("2022M03") are shared by the data layer and the views
+
+// Format a month key (e.g. "2022M03") into a readable label
+function formatMonthLabel(d) {
+  const [year, month] = d.split("M");
+  return d3.timeFormat("%b %Y")(new Date(year, month - 1));
+}
+
+// Format a list of months as a readable period (e.g. "Jan 2021 – Dec 2022")
+function formatPeriod(months) {
+  if (months.length === 0) return "";
+
+  const startLabel = formatMonthLabel(months[0]);
+  const endLabel   = formatMonthLabel(months[months.length - 1]);
+
+  return startLabel === endLabel
+    ? startLabel
+    : `${startLabel} – ${endLabel}`;
+}
+
+// Month key shifted by a number of months
+function shiftMonth(m, offset) {
+  const [y, mm] = m.split("M").map(Number);
+  const date = new Date(y, mm - 1 + offset, 1);
+
+  return `${date.getFullYear()}M${String(date.getMonth() + 1).padStart(2, "0")}`;
+}
+
+// Get the same month one year earlier (e.g. "2022M03" → "2021M03")
+function previousYearMonth(m) {
+  const [year, month] = m.split("M");
+  return `${+year - 1}M${month}`;
+}
+
+// Get the number of days in a month key (e.g. "2024M02" → 29)
+function daysInMonth(m) {
+  const [year, month] = m.split("M");
+  return new Date(+year, +month, 0).getDate();
+}
+
+// All month keys from the first to the last month (inclusive)
+function monthSequence(first, last) {
+  const months = [];
+  for (let m = first; m <= last; m = shiftMonth(m, 1)) months.push(m);
+  return months;
+}
+
+
+/* =========================================================
+   REGION CONFIGURATION
+   ========================================================= */
+
+// Region file used unless the URL names another one (?region=config/karst.json)
+const defaultRegionConfig = "config/region.json";
+
+// Directory the region files are loaded from
+const regionConfigDirectory = "config/";
+
+// Loaded region configuration (see config/region.json)
+let regionConfig = null;
+
+// Files loaded at start-up, set from the region configuration
+// (weather files are loaded per station)
+let dataSources = null;
+
+
+// Path of the region configuration file: only a file name in config/ is
+// accepted (no other directories or hosts), null for any other value
+function regionConfigUrl() {
+  const region = new URLSearchParams(window.location.search).get("region");
+  if (region === null) return defaultRegionConfig;
+
+  const file = region.startsWith(regionConfigDirectory)
+    ? region.slice(regionConfigDirectory.length)
+    : region;
+
+  return /^[\w-]+(\.[\w-]+)*\.json$/.test(file) ? regionConfigDirectory + file : null;
+}
+
+
+/**
+ * Load the region configuration: map file and its name and area
+ * properties, tourism files, municipality aliases and weather stations
+ * @returns {Promise<Object|null>} Configuration, or null if unusable
+ */
+async function loadRegionConfig() {
+  const label = "Region configuration";
+  const url = regionConfigUrl();
+
+  if (!url) {
+    reportDataQuality(label, [{
+      severity: "error",
+      message: `?region= must name a .json file in ${regionConfigDirectory} (e.g. ${defaultRegionConfig})`
+    }]);
+    return null;
+  }
+
+  let config;
+  try {
+    config = await d3.json(url);
+  } catch (err) {
+    reportDataQuality(label, [{ severity: "error", message: `${url} could not be loaded (${err.message})` }]);
+    return null;
+  }
+
+  const required = ["name", "slug", "geo.file", "geo.nameProperty", "tourism.file", "tourism.bedsFile", "weather.stations"];
+  const missing = required.filter(p => p.split(".").reduce((o, k) => o?.[k], config) == null);
+  if (missing.length > 0) {
+    reportDataQuality(label, [{ severity: "error", message: `${url} is missing ${listExamples(missing, 7)}` }]);
+    return null;
+  }
+
+  // Stations need an id, a name and coordinates to be placed on the map
+  const issues = [];
+  const stations = config.weather.stations.filter(s =>
+    s.id && s.name && Array.isArray(s.coords) && s.coords.length === 2
+  );
+  if (stations.length < config.weather.stations.length) {
+    issues.push({
+      severity: "warning",
+      message: `${config.weather.stations.length - stations.length} weather stations without id, name or coordinates were skipped`
+    });
+  }
+  config.weather.stations = stations;
+  reportDataQuality(label, issues);
+
+  regionConfig = config;
+  dataSources = {
+    geo: {
+      url: config.geo.file,
+      schema: "geo",
+      label: "Municipality boundaries",
+      nameProperty: config.geo.nameProperty,
+      areaProperty: config.geo.areaProperty ?? null
+    },
+    tourism: { url: config.tourism.file,     schema: "tourism", label: "Tourism indicators (SiStat)" },
+    beds:    { url: config.tourism.bedsFile, schema: "beds",    label: "Accommodation capacity (SiStat)" }
+  };
+
+  return config;
+}
+
+
+// Source of a weather station's monthly data
+function weatherSource(station) {
+  return {
+    url: `${regionConfig.weather.directory ?? ""}${station.file ?? `${station.id}.csv`}`,
+    schema: "weather",
+    label: `Weather: ${station.name} (ARSO)`
+  };
+}
+
+
+/* =========================================================
+   DATA SCHEMAS
+   ========================================================= */
+
+/**
+ * Expected structure of each data file
+ * - textColumns:     columns kept as strings
+ * - requiredColumns: columns the dashboard reads (missing ones are errors)
+ * - numericColumns:  pattern every other column has to match
+ * - keyColumns:      columns identifying a row (duplicates are reported)
+ * - monthColumn:     column parsed into the month key `Month` (e.g. "2022M03")
+ * - seriesColumn:    column splitting rows into monthly series (gaps are reported)
+ * - aliasColumn:     column renamed with the region's municipality aliases
+ * - missingValue:    value used for empty or non-numeric cells
+ */
+const dataSchemas = {
+  tourism: {
+    textColumns: ["Municipality", "Month"],
+    requiredColumns: [
+      "Municipality", "Month",
+      "All (Arrivals)", "All (Overnight stays)",
+      "Slovenia (Arrivals)", "Slovenia (Overnight stays)",
+      "Foreign (Arrivals)", "Foreign (Overnight stays)"
+    ],
+    numericColumns: /^.+ \((Arrivals|Overnight stays)\)$/,
+    keyColumns: ["Municipality", "Month"],
+    monthColumn: "Month",
+    monthFormat: /^(\d{4})M(\d{1,2})$/,
+    seriesColumn: "Municipality",
+    aliasColumn: "Municipality",
+    missingValue: 0
+  },
+
+  beds: {
+    textColumns: ["Municipality"],
+    requiredColumns: ["Municipality", "Year", "Beds"],
+    numericColumns: /^(Year|Beds)$/,
+    keyColumns: ["Municipality", "Year"],
+    aliasColumn: "Municipality",
+    missingValue: 0
+  },
+
+  weather: {
+    textColumns: ["station name", "month"],
+    requiredColumns: ["station name", "month"],
+    numericColumns: /.*/,
+    keyColumns: ["month"],
+    monthColumn: "month",
+    monthFormat: /^(\d{4})\/(\d{1,2})$/,
+    seriesColumn: "station name",
+    missingValue: null
+  },
+
+  geo: {
+    geometryTypes: ["Polygon", "MultiPolygon"]
+  }
+};
+
+
+/* =========================================================
+   DATA QUALITY REPORT
+   ========================================================= */
+
+// Issues found per data file (label → [{ severity, message }])
+const dataQualityReports = new Map();
+
+// Severities, most severe first
+const dataQualitySeverities = ["error", "warning", "notice"];
+
+// Record the issues of a data file and refresh the report
+function reportDataQuality(label, issues) {
+  dataQualityReports.set(label, issues);
+  renderDataQualityReport();
+}
+
+// Add issues to an already loaded data file (cross-file checks)
+function addDataQualityIssues(label, issues) {
+  reportDataQuality(label, [...(dataQualityReports.get(label) ?? []), ...issues]);
+}
+
+// Short list of examples ("a, b, c and 4 more")
+function listExamples(items, max = 3) {
+  const shown = items.slice(0, max).join(", ");
+  return items.length > max ? `${shown} and ${items.length - max} more` : shown;
+}
+
+
+/**
+ * Show the data-quality report below the chart
+ * The summary counts issues by severity; errors open the report.
+ */
+function renderDataQualityReport() {
+  const issues = Array.from(dataQualityReports.values()).flat();
+  const counts = dataQualitySeverities
+    .map(severity => ({ severity, count: issues.filter(i => i.severity === severity).length }))
+    .filter(c => c.count > 0);
+
+  const worst = counts[0]?.severity ?? "ok";
+
+  d3.select("#data-quality-summary")
+    .attr("class", `severity-${worst}`)
+    .text(counts.length
+      ? `Data quality: ${counts.map(c => `${c.count} ${c.severity}${c.count > 1 ? "s" : ""}`).join(", ")}`
+      : "Data quality: no issues found");
+
+  if (worst === "error") d3.select("#data-quality").property("open", true);
+
+  const content = d3.select("#data-quality-content");
+  content.selectAll("*").remove();
+
+  dataQualityReports.forEach((fileIssues, label) => {
+    const section = content.append("div").attr("class", "data-quality-file");
+
+    section.append("strong").text(label);
+
+    if (fileIssues.length === 0) {
+      section.append("div").attr("class", "severity-ok").text("No issues");
+      return;
+    }
+
+    section.append("ul")
+      .selectAll("li")
+      .data(fileIssues)
+      .join("li")
+      .attr("class", d => `severity-${d.severity}`)
+      .text(d => `${d.severity[0].toUpperCase()}${d.severity.slice(1)}: ${d.message}`);
+  });
+}
+
+
+/* =========================================================
+   CSV LOADING & VALIDATION
+   ========================================================= */
+
+/**
+ * Load a CSV file and validate it against its schema
+ * Rows are returned as objects (with `columns`, like d3.csv) holding
+ * numbers in numeric columns and the month key in `Month`.
+ * @param {{url: string, schema: string, label: string}} source - Data source
+ * @returns {Promise<Array<Object>|null>} Valid rows, or null if unreadable
+ *   or missing required columns
+ */
+async function loadCsvData(source) {
+  let buffer;
+  try {
+    buffer = await d3.buffer(source.url);
+  } catch (err) {
+    reportDataQuality(source.label, [{ severity: "error", message: `File could not be loaded (${err.message})` }]);
+    return null;
+  }
+
+  const { rows, issues } = parseCsvData(buffer, dataSchemas[source.schema]);
+  reportDataQuality(source.label, issues);
+
+  return rows;
+}
+
+
+/**
+ * Parse and validate CSV content
+ * @param {ArrayBuffer} buffer - Raw file content
+ * @param {Object} schema - Entry of dataSchemas
+ * @returns {{rows: (Array<Object>|null), issues: Array<Object>}} Rows are
+ *   null when required columns are missing
+ */
+function parseCsvData(buffer, schema) {
+  const issues = [];
+  const issue = (severity, message) => issues.push({ severity, message });
+
+
+  /* -------------------------
+     HEADER
+     ------------------------- */
+
+  // Keep the byte-order mark so it can be reported (and then dropped)
+  let text = new TextDecoder("utf-8", { ignoreBOM: true }).decode(buffer);
+  if (text.startsWith("\uFEFF")) {
+    text = text.slice(1);
+    issue("notice", "File starts with a byte-order mark (ignored)");
+  }
+
+  const [header = [], ...cells] = d3.csvParseRows(text.trim());
+  const columns = header.map(c => c.trim());
+
+  const missing = schema.requiredColumns.filter(c => !columns.includes(c));
+  const unexpected = columns.filter(c =>
+    !schema.textColumns.includes(c) && !schema.numericColumns.test(c)
+  );
+
+  if (missing.length > 0) {
+    issue("error", `Missing columns: ${listExamples(missing, 6)}` +
+      (unexpected.length ? ` (unexpected columns: ${listExamples(unexpected, 6)})` : ""));
+  } else if (unexpected.length > 0) {
+    issue("warning", `Unexpected columns (ignored): ${listExamples(unexpected, 6)}`);
+  }
+
+  // Without its required columns the file cannot be used at all
+  if (missing.length > 0) return { rows: null, issues };
+
+  const duplicateColumns = columns.filter((c, i) => columns.indexOf(c) !== i);
+  if (duplicateColumns.length > 0) {
+    issue("warning", `Repeated column names (first one used): ${listExamples(duplicateColumns)}`);
+  }
+
+  // Rows with more cells than the header (the extra cells are dropped)
+  const wideRows = cells.filter(r => r.length > columns.length);
+  if (wideRows.length > 0) {
+    const extra = d3.max(wideRows, r => r.length - columns.length);
+    issue("warning",
+      `${wideRows.length} rows have up to ${extra} more cells than the header (extra cells ignored)`);
+  }
+
+  const shortRows = cells.filter(r => r.length < columns.length && r.some(c => c !== ""));
+  if (shortRows.length > 0) {
+    issue("warning", `${shortRows.length} rows have fewer cells than the header (missing cells treated as empty)`);
+  }
+
+
+  /* -------------------------
+     CELLS
+     ------------------------- */
+
+  const numericColumns = columns.filter(c =>
+    !schema.textColumns.includes(c) && schema.numericColumns.test(c) && !unexpected.includes(c)
+  );
+
+  const emptyCells = [];
+  const invalidCells = [];
+  const invalidMonths = [];
+
+  let rows = cells
+    .filter(r => r.some(c => c.trim() !== ""))
+    .map(r => {
+      const row = {};
+      columns.forEach((c, i) => {
+        if (!(c in row) && !unexpected.includes(c)) row[c] = (r[i] ?? "").trim();
+      });
+      return row;
+    });
+
+  // Table names of municipalities that differ from the map names
+  const aliases = regionConfig?.tourism.municipalityAliases ?? {};
+
+  rows.forEach(row => {
+    if (schema.aliasColumn && row[schema.aliasColumn] in aliases) {
+      row[schema.aliasColumn] = aliases[row[schema.aliasColumn]];
+    }
+
+    const rowLabel = rowDescription(row, schema);
+
+    numericColumns.forEach(c => {
+      const raw = row[c];
+      const value = raw === "" ? NaN : +raw;
+
+      if (Number.isFinite(value)) {
+        row[c] = value;
+        return;
+      }
+
+      (raw === "" ? emptyCells : invalidCells).push(raw === "" ? rowLabel : `${rowLabel} ${c}: "${raw}"`);
+      row[c] = schema.missingValue;
+    });
+
+    // Month key shared by all data (e.g. "2022M03")
+    if (schema.monthColumn) {
+      const raw = row[schema.monthColumn];
+      const match = schema.monthFormat.exec(raw);
+      row.Month = match && +match[2] >= 1 && +match[2] <= 12
+        ? `${match[1]}M${match[2].padStart(2, "0")}`
+        : null;
+
+      if (!row.Month) invalidMonths.push(`"${raw}" (row ${rowLabel || "without key"})`);
+    }
+  });
+
+  const missingText = schema.missingValue === null ? "left empty" : `treated as ${schema.missingValue}`;
+
+  if (emptyCells.length > 0) {
+    issue("notice", `${emptyCells.length} empty cells (${missingText}), e.g. in ${listExamples(emptyCells)}`);
+  }
+  if (invalidCells.length > 0) {
+    issue("warning", `${invalidCells.length} non-numeric cells (${missingText}): ${listExamples(invalidCells)}`);
+  }
+  if (invalidMonths.length > 0) {
+    issue("error", `${invalidMonths.length} rows with an unreadable month were dropped: ${listExamples(invalidMonths)}`);
+    rows = rows.filter(r => r.Month);
+  }
+
+
+  /* -------------------------
+     DUPLICATES & GAPS
+     ------------------------- */
+
+  if (schema.keyColumns.every(c => columns.includes(c))) {
+    const seen = new Set();
+    const duplicates = [];
+
+    rows = rows.filter(row => {
+      const key = schema.keyColumns.map(c => row[c]).join("|");
+      if (!seen.has(key)) {
+        seen.add(key);
+        return true;
+      }
+      duplicates.push(rowDescription(row, schema));
+      return false;
+    });
+
+    if (duplicates.length > 0) {
+      issue("warning", `${duplicates.length} duplicate rows (first one kept): ${listExamples(duplicates)}`);
+    }
+  }
+
+  if (schema.monthColumn && rows.length > 0) {
+    const months = rows.map(r => r.Month).sort(d3.ascending);
+    const expected = monthSequence(months[0], months[months.length - 1]);
+
+    d3.group(rows, r => r[schema.seriesColumn] ?? "").forEach((seriesRows, series) => {
+      const present = new Set(seriesRows.map(r => r.Month));
+      const gaps = expected.filter(m => !present.has(m));
+
+      if (gaps.length > 0) {
+        issue("warning", `${series}: ${gaps.length} missing months (${listExamples(gaps.map(formatMonthLabel), 4)})`);
+      }
+    });
+  }
+
+  rows.columns = columns.filter(c => !unexpected.includes(c));
+  return { rows, issues };
+}
+
+
+// Identify a row in messages by its key cells ("Vipava 2022M03")
+function rowDescription(row, schema) {
+  return schema.keyColumns.map(c => row[c]).filter(Boolean).join(" ");
+}
+
+
+/* =========================================================
+   GEO LOADING & VALIDATION
+   ========================================================= */
+
+/**
+ * Load the municipality boundaries and validate their features
+ * @param {{url: string, schema: string, label: string}} source - Data source
+ * @returns {Promise<Object|null>} GeoJSON FeatureCollection, or null if unreadable
+ */
+async function loadGeoData(source) {
+  const schema = dataSchemas[source.schema];
+  const issues = [];
+  const issue = (severity, message) => issues.push({ severity, message });
+
+  let geo;
+  try {
+    geo = await d3.json(source.url);
+  } catch (err) {
+    reportDataQuality(source.label, [{ severity: "error", message: `File could not be loaded (${err.message})` }]);
+    return null;
+  }
+
+  if (geo?.type !== "FeatureCollection" || !Array.isArray(geo.features) || geo.features.length === 0) {
+    reportDataQuality(source.label, [{ severity: "error", message: "Not a GeoJSON FeatureCollection with features" }]);
+    return null;
+  }
+
+  // Features without a usable geometry cannot be drawn
+  const invalid = geo.features.filter(f => !schema.geometryTypes.includes(f.geometry?.type));
+  if (invalid.length > 0) {
+    issue("error", `${invalid.length} features without a polygon geometry were dropped`);
+    geo.features = geo.features.filter(f => !invalid.includes(f));
+  }
+
+  // Municipalities are named by the configured property
+  const unnamed = geo.features.filter(f => typeof f.properties?.[source.nameProperty] !== "string");
+  if (unnamed.length > 0) {
+    issue("error", `${unnamed.length} features have no ${source.nameProperty} name property and were dropped`);
+    geo.features = geo.features.filter(f => !unnamed.includes(f));
+  }
+
+  // The area is optional (only used for densities)
+  if (source.areaProperty) {
+    const lacking = geo.features.filter(f => !Number.isFinite(+f.properties[source.areaProperty]));
+    if (lacking.length > 0) {
+      issue("warning", `${lacking.length} features have no numeric ${source.areaProperty} area property`);
+    }
+  }
+
+  reportDataQuality(source.label, issues);
+  return geo.features.length > 0 ? geo : null;
+}
+
+
+// Key to compare municipality names across the map and data tables
+// (files differ in case and surrounding spaces)
+function municipalityKey(name) {
+  return name.trim().toLowerCase();
+}
+
+
+/**
+ * Cross-check municipality names of the tourism and beds tables against
+ * the map (rows of unknown municipalities never appear on it)
+ * @param {Array<string>} names - Municipality names on the map
+ * @param {Array<Object>} tourism - Tourism rows
+ * @param {Array<Object>} beds - Beds rows
+ */
+function checkMunicipalityNames(names, tourism, beds) {
+  const known = new Set(names.map(municipalityKey));
+
+  [[dataSources.tourism, tourism], [dataSources.beds, beds]].forEach(([source, rows]) => {
+    if (!rows) return;
+
+    const listed = Array.from(new Set(rows.map(r => r.Municipality)));
+    const unknown = listed.filter(n => !known.has(municipalityKey(n)));
+    const absent  = names.filter(n => !listed.some(l => municipalityKey(l) === municipalityKey(n)));
+
+    const issues = [];
+    if (unknown.length > 0) {
+      issues.push({ severity: "warning", message: `Municipalities not on the map: ${listExamples(unknown, 6)}` });
+    }
+    if (absent.length > 0) {
+      issues.push({ severity: "warning", message: `Map municipalities without data: ${listExamples(absent, 6)}` });
+    }
+
+    if (issues.length > 0) addDataQualityIssues(source.label, issues);
+  });
+}
+
+
+/* =========================================================
+   UPLOADED DATA (MERGE & PERSISTENCE)
+   ========================================================= */
+
+// Uploaded files applied over the bundled data, in upload order
+// ({ name, kind, stationId, mode, buffer, date })
+let dataUploads = [];
+
+// IndexedDB keeping uploads for the next visit (one database per region)
+const uploadStoreName = "uploads";
+
+
+// Detect which data file a CSV is from its key columns (null if unknown)
+function detectUploadKind(buffer) {
+  const [firstLine] = new TextDecoder("utf-8").decode(buffer).split(/\r\n|\r|\n/, 1);
+  const header = (d3.csvParseRows(firstLine)[0] ?? []).map(c => c.trim());
+
+  return ["tourism", "beds", "weather"]
+    .find(kind => dataSchemas[kind].keyColumns.every(c => header.includes(c))) ?? null;
+}
+
+
+/**
+ * Merge uploaded rows into the current rows (or replace them)
+ * Rows are matched by the schema's key (months compared as month keys).
+ * @param {Array<Object>} current - Rows in use
+ * @param {Array<Object>} uploaded - Validated rows of the uploaded file
+ * @param {Object} schema - Entry of dataSchemas
+ * @param {string} mode - "merge" or "replace"
+ * @returns {{rows: Array<Object>, diff: Object}} Resulting rows and what changed
+ */
+function mergeData(current, uploaded, schema, mode) {
+  const key = r => schema.keyColumns
+    .map(c => c === schema.monthColumn ? r.Month : r[c])
+    .join("|");
+
+  // Months (or years) a row belongs to, used to summarize the change
+  const period = r => r.Month ?? r.Year;
+
+  const currentByKey  = new Map(current.map(r => [key(r), r]));
+  const uploadedByKey = new Map(uploaded.map(r => [key(r), r]));
+
+  const added   = uploaded.filter(r => !currentByKey.has(key(r)));
+  const updated = uploaded.filter(r => {
+    const old = currentByKey.get(key(r));
+    return old && uploaded.columns.some(c => old[c] !== r[c]);
+  });
+  const removed = mode === "replace" ? current.filter(r => !uploadedByKey.has(key(r))) : [];
+
+  const currentPeriods = new Set(current.map(period));
+  const keptPeriods    = new Set((mode === "replace" ? uploaded : [...current, ...uploaded]).map(period));
+
+  const diff = {
+    unit:           schema.monthColumn ? "month" : "year",
+    addedRows:      added.length,
+    updatedRows:    updated.length,
+    removedRows:    removed.length,
+    addedPeriods:   Array.from(new Set(added.map(period))).filter(p => !currentPeriods.has(p)).sort(d3.ascending),
+    removedPeriods: Array.from(currentPeriods).filter(p => !keptPeriods.has(p)).sort(d3.ascending)
+  };
+
+  let rows = mode === "replace"
+    ? uploaded.slice()
+    : [...current.map(r => uploadedByKey.get(key(r)) ?? r), ...added];
+
+  if (schema.monthColumn) rows.sort((a, b) => d3.ascending(a.Month, b.Month));
+
+  rows.columns = Array.from(new Set([...(mode === "replace" ? [] : current.columns ?? []), ...uploaded.columns]));
+  return { rows, diff };
+}
+
+
+// Describe a merge result ("1 new month (Oct 2025), 6 rows added, 12 updated")
+function describeDataDiff(diff) {
+  const periodLabel = p => diff.unit === "month" ? formatMonthLabel(p) : p;
+  const unit = n => `${diff.unit}${n === 1 ? "" : "s"}`;
+
+  const parts = [];
+  if (diff.addedPeriods.length > 0) {
+    parts.push(`${diff.addedPeriods.length} new ${unit(diff.addedPeriods.length)} ` +
+      `(${listExamples(diff.addedPeriods.map(periodLabel), 4)})`);
+  }
+  if (diff.removedPeriods.length > 0) {
+    parts.push(`${diff.removedPeriods.length} ${unit(diff.removedPeriods.length)} no longer included ` +
+      `(${listExamples(diff.removedPeriods.map(periodLabel), 4)})`);
+  }
+
+  parts.push(`${diff.addedRows} rows added, ${diff.updatedRows} updated` +
+    (diff.removedRows ? `, ${diff.removedRows} removed` : ""));
+
+  return parts.join("; ");
+}
+
+
+/**
+ * Apply the stored uploads of one kind over the bundled rows
+ * @param {Array<Object>} rows - Bundled rows
+ * @param {string} kind - "tourism", "beds" or "weather"
+ * @param {string|null} stationId - Station of weather uploads
+ * @returns {Array<Object>} Rows with all matching uploads applied
+ */
+function applyUploads(rows, kind, stationId = null) {
+  const schema = dataSchemas[kind];
+
+  return dataUploads
+    .filter(u => u.kind === kind && (u.stationId ?? null) === stationId)
+    .reduce((current, upload) => {
+      const { rows: uploaded, issues } = parseCsvData(upload.buffer, schema);
+      reportDataQuality(`Uploaded: ${upload.name}`, issues);
+      if (!uploaded) return current;
+
+      return mergeData(current, uploaded, schema, upload.mode).rows;
+    }, rows);
+}
+
+
+/* -------------------------
+   INDEXEDDB STORAGE
+   ------------------------- */
+
+// Open the upload database (null where IndexedDB is unavailable)
+function openUploadDb() {
+  if (!window.indexedDB) return Promise.resolve(null);
+
+  return new Promise(resolve => {
+    const request = indexedDB.open(`${regionConfig.slug}-dashboard`, 1);
+
+    request.onupgradeneeded = () =>
+      request.result.createObjectStore(uploadStoreName, { autoIncrement: true });
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => {
+      console.warn("Uploaded data cannot be stored:", request.error);
+      resolve(null);
+    };
+  });
+}
+
+// Run one request against the upload store; it settles once the
+// transaction is committed (quota errors abort it) and closes the database
+async function uploadStoreRequest(mode, operation) {
+  const db = await openUploadDb();
+  if (!db) return null;
+
+  try {
+    return await new Promise((resolve, reject) => {
+      const transaction = db.transaction(uploadStoreName, mode);
+      const request = operation(transaction.objectStore(uploadStoreName));
+
+      transaction.oncomplete = () => resolve(request.result);
+      transaction.onerror = transaction.onabort = () => reject(transaction.error ?? request.error);
+    });
+  } finally {
+    db.close();
+  }
+}
+
+// Read the uploads of earlier visits
+async function loadStoredUploads() {
+  try {
+    dataUploads = (await uploadStoreRequest("readonly", store => store.getAll())) ?? [];
+  } catch (err) {
+    console.warn("Stored uploads cannot be read:", err);
+    dataUploads = [];
+  }
+  return dataUploads;
+}
+
+// Keep an upload for the next visit (listed once it is stored)
+async function storeUpload(record) {
+  await uploadStoreRequest("readwrite", store => store.add(record));
+  dataUploads.push(record);
+}
+
+// Forget all uploads (the bundled data is used again)
+function clearStoredUploads() {
+  dataUploads = [];
+  return uploadStoreRequest("readwrite", store => store.clear());
+}
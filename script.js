@@ -22,10 +22,18 @@ let showAverageStays = d3.select("#toggle-averagestays").property("checked");
 let showBeds         = d3.select("#toggle-beds").property("checked");
 let showWeather      = d3.select("#toggle-weather").property("checked");
 
+// Capacity series drawn on the timeline (dataset field, or "none")
+let capacityMetric = d3.select("#capacity-metric").property("value");
+
+// Chart view ("timeline", "seasonal" or "yoy") and the metric it compares
+let chartMode  = d3.select("#chart-mode").property("value");
+let viewMetric = d3.select("#view-metric").property("value");
+
 // Active weather-related selections
 let activeWeatherStation   = null; // Currently selected weather station
 let activeWeatherData      = null; // Loaded data for the selected station
 let activeWeatherAttribute = null; // Selected weather attribute (e.g. temperature)
+let comparedWeatherStations = [];  // Further stations compared with the selected one ({ station, data })
 
 
 /* =========================================================
@@ -62,6 +70,183 @@ const projection = d3.geoMercator();
 const path = d3.geoPath().projection(projection);
 
 
+/* =========================================================
+   MAP ZOOM & BASEMAP
+   ========================================================= */
+
+// Basemap tile sources: URL templates with {z}/{x}/{y} ({s} picks one
+// of the subdomains). Sources without a URL only draw the vector outline.
+const basemapSources = {
+  carto: {
+    label: "CARTO Light",
+    url: "https://cartodb-basemaps-{s}.global.ssl.fastly.net/light_all/{z}/{x}/{y}.png",
+    subdomains: "abcd"
+  },
+  osm: {
+    label: "OpenStreetMap",
+    url: "https://tile.openstreetmap.org/{z}/{x}/{y}.png"
+  },
+  outline: {
+    label: "Outline only (offline)",
+    url: null
+  }
+};
+
+// Projection fitted to the whole region (zoom level 1)
+let baseProjection = null; // { scale, translate }
+
+// Whether tiles of the selected source could not be loaded
+let basemapUnavailable = false;
+
+// Layer for the vector outline shown when tiles are unavailable
+const outlineLayer = tileLayer.append("g")
+  .attr("class", "basemap-outline")
+  .style("pointer-events", "none");
+
+// Zoom and pan the map; the projection is rescaled so that tiles
+// are requested for the new zoom level and strokes keep their width
+const mapZoom = d3.zoom()
+  .scaleExtent([1, 8])
+  .extent([[0, 0], [mapWidth, mapHeight]])
+  .translateExtent([[0, 0], [mapWidth, mapHeight]])
+  .on("zoom", event => {
+    const { k, x, y } = event.transform;
+
+    projection
+      .scale(baseProjection.scale * k)
+      .translate([x + k * baseProjection.translate[0], y + k * baseProjection.translate[1]]);
+
+    projectMap();
+    drawBasemap();
+  });
+
+// Remember the fitted projection, list the basemaps and enable zooming
+function initMapZoom() {
+  baseProjection = {
+    scale: projection.scale(),
+    translate: projection.translate()
+  };
+
+  d3.select("#map-basemap")
+    .selectAll("option")
+    .data(Object.entries(basemapSources))
+    .join("option")
+    .attr("value", ([key]) => key)
+    .text(([, source]) => source.label);
+
+  svg.call(mapZoom);
+}
+
+// Zoom back out to the whole region
+function resetMapZoom() {
+  svg.transition()
+    .duration(500)
+    .call(mapZoom.transform, d3.zoomIdentity);
+}
+
+// Reposition map features after the projection changed
+function projectMap() {
+  mapLayer.selectAll("path.municipality").attr("d", path);
+
+  mapLayer.selectAll(".label")
+    .attr("transform", d => `translate(${path.centroid(d)})`);
+
+  mapLayer.selectAll(".weather-station")
+    .attr("cx", d => projection(d.coords)[0])
+    .attr("cy", d => projection(d.coords)[1]);
+
+  positionStationLinks();
+}
+
+// Fill a tile URL template
+function tileUrl(source, [x, y, z]) {
+  const subdomains = source.subdomains || "";
+
+  return source.url
+    .replace("{s}", subdomains ? subdomains[Math.abs(x + y) % subdomains.length] : "")
+    .replace("{z}", z)
+    .replace("{x}", x)
+    .replace("{y}", y);
+}
+
+/**
+ * Draw the basemap for the current projection
+ * Tiles are re-requested for the visible area and zoom level. When tiles
+ * fail to load, the vector outline of the region is shown instead.
+ */
+function drawBasemap() {
+  const sourceKey = d3.select("#map-basemap").property("value");
+  const source = basemapSources[sourceKey];
+
+  const tiles = d3.tile()
+    .size([mapWidth, mapHeight])
+    .scale(projection.scale() * 2 * Math.PI)
+    .translate(projection([0, 0]))();
+
+  tileLayer.selectAll("image")
+    .data(source.url ? tiles : [], d => `${sourceKey}/${d.join("/")}`)
+    .join(enter => enter.insert("image", ".basemap-outline")
+      .attr("xlink:href", d => tileUrl(source, d))
+      .on("load", () => setBasemapUnavailable(false))
+      .on("error", function () {
+        d3.select(this).remove();
+        setBasemapUnavailable(true);
+      }))
+    .attr("x", d => (d[0] + tiles.translate[0]) * tiles.scale)
+    .attr("y", d => (d[1] + tiles.translate[1]) * tiles.scale)
+    .attr("width", tiles.scale)
+    .attr("height", tiles.scale);
+
+  if (!source.url) setBasemapUnavailable(true);
+  drawBasemapOutline();
+}
+
+// Record whether tiles are missing and show the outline in their place
+function setBasemapUnavailable(unavailable) {
+  if (basemapUnavailable === unavailable) return;
+  basemapUnavailable = unavailable;
+
+  const sourceKey = d3.select("#map-basemap").property("value");
+  d3.select("#map-basemap-status").text(
+    unavailable && basemapSources[sourceKey].url ? "Tiles unavailable, showing outline" : ""
+  );
+
+  drawBasemapOutline();
+}
+
+/**
+ * Vector basemap of the region: a coordinate grid and a soft halo
+ * along the municipality borders. Needs no network access.
+ */
+function drawBasemapOutline() {
+  outlineLayer.selectAll("*").remove();
+  if (!basemapUnavailable || !municipalityGeo) return;
+
+  outlineLayer.append("rect")
+    .attr("width", mapWidth)
+    .attr("height", mapHeight)
+    .attr("fill", "#f4f4f0");
+
+  outlineLayer.append("path")
+    .datum(d3.geoGraticule().step([0.1, 0.1])())
+    .attr("d", path)
+    .attr("fill", "none")
+    .attr("stroke", "#e2e2dc")
+    .attr("stroke-width", 1);
+
+  // Wide light stroke below the municipalities reads as a shaded margin
+  outlineLayer.append("g")
+    .selectAll("path")
+    .data(municipalityGeo.features)
+    .join("path")
+    .attr("d", path)
+    .attr("fill", "#e8e8e0")
+    .attr("stroke", "#d0d0c8")
+    .attr("stroke-width", 10)
+    .attr("stroke-linejoin", "round");
+}
+
+
 /* =========================================================
    DATA STATE
    ========================================================= */
@@ -75,6 +260,17 @@ let selectedMunicipality = null;
 // Set of currently active/visible municipalities
 let activeMunicipalities = new Set();
 
+// Brushed time range shared by all views ([firstMonth, lastMonth]),
+// null means the whole period
+let activeTimeRange = null;
+
+// Data behind the current chart (set on every redraw, used for data export)
+let plottedData = null;
+
+// Municipality geometries and their name property (set after loading)
+let municipalityGeo     = null;
+let municipalityNameKey = null;
+
 
 /* =========================================================
    HELPER FUNCTIONS
@@ -89,6 +285,154 @@ function safeClassName(name) {
     .replace(/[^\w-]/g, "_");
 }
 
+// Escape text from data files (names, column headers) for .html() content
+function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&#39;");
+}
+
+// Get all tourism months sorted chronologically
+// (the first month is dropped, consistent with the chart datasets)
+function tourismMonths() {
+  const months = Array.from(new Set(tourismData.map(d => d.Month)))
+    .sort(d3.ascending);
+
+  months.shift();
+  return months;
+}
+
+// Get the months inside the brushed time range
+// (all months when no range is brushed)
+function activeMonths() {
+  const months = tourismMonths();
+  if (!activeTimeRange) return months;
+
+  const [start, end] = activeTimeRange;
+  return months.filter(m => m >= start && m <= end);
+}
+
+// Format the change against the same period last year (empty if unknown)
+function formatYoyDelta(current, previous) {
+  if (previous == null || previous === 0) return "";
+
+  const change = (current - previous) / previous;
+  return ` (${d3.format("+.1%")(change)} vs. same period last year)`;
+}
+
+// Format the relative change between two values ("+3.2%", "–" if unknown)
+function formatChange(current, previous) {
+  if (current == null || previous == null || previous === 0) return "–";
+  return d3.format("+.1%")((current - previous) / previous);
+}
+
+// Whether a key press activates a focused control (Enter or Space)
+function isActivationKey(event) {
+  return event.key === "Enter" || event.key === " ";
+}
+
+// Page position next to a focused element (places tooltips for keyboard users)
+function focusPosition(node) {
+  const box = node.getBoundingClientRect();
+  return {
+    pageX: box.right + window.scrollX,
+    pageY: box.top + box.height / 2 + window.scrollY
+  };
+}
+
+// Get the names of all municipalities on the map
+function allMunicipalityNames() {
+  return municipalityGeo.features.map(d => d.properties[municipalityNameKey]);
+}
+
+/**
+ * Monthly chart rows of one municipality for a source country
+ * (capacity metrics are added separately)
+ * @param {string} name - Municipality name
+ * @param {string} country - Source country column prefix (e.g. "All")
+ * @returns {Array<Object>} Rows with Month, Arrivals, Overnights and AverageStay
+ */
+function municipalityDataset(name, country) {
+  const keyArr = `${country} (Arrivals)`;
+  const keyOver = `${country} (Overnight stays)`;
+
+  // Filter tourism data for the municipality (case-insensitive)
+  return tourismData
+    .filter(d => municipalityKey(d.Municipality) === municipalityKey(name))
+    .sort((a, b) => d3.ascending(a.Month, b.Month))
+    .map(d => ({
+      Municipality: name,
+      Month: d.Month,
+      Arrivals: d[keyArr],
+      Overnights: d[keyOver],
+      AverageStay: d[keyArr] ? (d[keyOver] / d[keyArr]) : 0
+    }));
+}
+
+// Whether the tourism table has rows for a municipality (only those can be charted)
+function hasTourismRows(name) {
+  return tourismData.some(d => municipalityKey(d.Municipality) === municipalityKey(name));
+}
+
+// Get the area of a municipality in km² (area property of the geo data, e.g. POV_KM2)
+function municipalityArea(name) {
+  const areaKey = dataSources.geo.areaProperty;
+  const feature = municipalityGeo.features
+    .find(d => d.properties[municipalityNameKey] === name);
+
+  return areaKey && feature ? +feature.properties[areaKey] || null : null;
+}
+
+// Get the total beds of several municipalities in a year
+// (null unless every municipality has data for that year)
+function totalBeds(names, year) {
+  const keys = names.map(municipalityKey);
+  const rows = bedsData.filter(d => keys.includes(municipalityKey(d.Municipality)) && d.Year === year);
+  return rows.length === names.length ? d3.sum(rows, d => d.Beds) : null;
+}
+
+
+/**
+ * Add derived capacity metrics to the monthly rows of a dataset
+ * - OccupancyRate: overnights ÷ (beds × days in month), in %
+ * - OvernightsPerBed: overnights of the (complete) year ÷ beds
+ * - ArrivalsPerKm2: arrivals ÷ municipality area
+ * @param {Array<Object>} dataset - Monthly rows (Month, Arrivals, Overnights)
+ * @param {Array<string>} names - Municipalities covered by the dataset
+ */
+function addCapacityMetrics(dataset, names) {
+  const area = d3.sum(names, municipalityArea);
+
+  // Yearly overnights, only for years with all twelve months
+  const yearlyOvernights = d3.rollup(
+    dataset,
+    rows => rows.length === 12 ? d3.sum(rows, r => r.Overnights) : null,
+    d => +d.Month.split("M")[0]
+  );
+
+  dataset.forEach(d => {
+    const year = +d.Month.split("M")[0];
+    const beds = totalBeds(names, year);
+    const overYear = yearlyOvernights.get(year);
+
+    d.OccupancyRate    = beds ? d.Overnights / (beds * daysInMonth(d.Month)) * 100 : null;
+    d.OvernightsPerBed = beds && overYear !== null ? overYear / beds : null;
+    d.ArrivalsPerKm2   = area ? d.Arrivals / area : null;
+  });
+}
+
+// Set the shared time range and refresh all coordinated views
+function setTimeRange(range) {
+  activeTimeRange = range;
+
+  updateMap(municipalityGeo, municipalityNameKey);
+  updateLineChart();
+  pushUrlState();
+}
+
 
 /* =========================================================
    SCALES & CONSTANTS
@@ -109,1556 +453,6567 @@ const colorScale = d3.scaleOrdinal([
    WEATHER STATIONS METADATA
    ========================================================= */
 
-// Static metadata for weather stations
-const weatherStations = [
-  { id: "bilje",            name: "Bilje",            coords: [13.63517790, 45.89365130], altitude: 52  },
-  { id: "hrusica_pri_colu", name: "Hrušica pri Colu", coords: [14.00105020, 45.88117870], altitude: 611 },
-  { id: "lokve",            name: "Lokve",            coords: [13.79215750, 46.01214360], altitude: 929 },
-  { id: "opatje_selo",      name: "Opatje Selo",      coords: [13.58263280, 45.85130540], altitude: 172 },
-  { id: "otlica",           name: "Otlica",           coords: [13.91026180, 45.92766910], altitude: 818 },
-  { id: "podraga",          name: "Podraga",          coords: [13.94939380, 45.80669300], altitude: 177 },
-  { id: "sela_na_krasu",    name: "Sela na Krasu",    coords: [13.61724750, 45.82120120], altitude: 231 },
-  { id: "sempas",           name: "Šempas",           coords: [13.74224410, 45.92853720], altitude: 97  },
-  { id: "zalosce",          name: "Zalošče",          coords: [13.74975050, 45.88647330], altitude: 82  }
-];
+// Weather stations of the region ({ id, name, coords, altitude, file }),
+// set from the region configuration
+let weatherStations = [];
+
+// Series color of each station when several stations are compared
+const stationColor = d3.scaleOrdinal(d3.schemeDark2);
+
+
+/**
+ * Stations shown on the chart: the selected one first, then the compared ones
+ * @returns {Array<{station: Object, data: Array<Object>}>}
+ */
+function visibleWeatherStations() {
+  if (!activeWeatherStation || !activeWeatherData) return [];
+
+  return [
+    { station: activeWeatherStation, data: activeWeatherData },
+    ...comparedWeatherStations
+  ];
+}
+
+
+// Legend label of a station (name and altitude)
+function stationLabel(station) {
+  return `${station.name} (${station.altitude} m)`;
+}
 
 
 /* =========================================================
-   DATA LOADING
+   URL STATE (SHAREABLE LINKS)
    ========================================================= */
 
-Promise.all([
-  d3.json("data/geoData/municipalities.geojson"), // Municipality geometries
-  d3.csv("data/tourismData/tourism.csv"),             // Tourism indicators
-  d3.csv("data/tourismData/beds.csv")                 // Accommodation capacity
-]).then(([geo, data, beds]) => {
+// Checkbox toggles stored in the URL (parameter value → checkbox)
+const metricToggles = {
+  arrivals:     "#toggle-arrivals",
+  overnights:   "#toggle-overnights",
+  averagestays: "#toggle-averagestays",
+  beds:         "#toggle-beds",
+  weather:      "#toggle-weather"
+};
 
-  /* -------------------------
-     PREPROCESS BEDS DATA
-     ------------------------- */
-  beds.forEach(d => {
-    d.Year  = +d.Year;
-    d.Beds = +d.Beds;
-  });
 
-  bedsData = beds;
+/**
+ * Serialize the current view into URL query parameters
+ * @returns {string} Query string (without the leading "?")
+ */
+function serializeUrlState() {
+  const params = new URLSearchParams();
 
+  // Keep pointing at a region other than the default one
+  const regionUrl = regionConfigUrl();
+  if (regionUrl && regionUrl !== defaultRegionConfig) {
+    params.set("region", regionUrl);
+  }
 
-  /* -------------------------
-     PREPROCESS TOURISM DATA
-     ------------------------- */
-  data.forEach(d => {
-    for (let key in d) {
-      if (key !== "Municipality" && key !== "Month") {
-        d[key] = +d[key];
-      }
-    }
-  });
+  params.set("country", d3.select("#metric").property("value"));
+  params.set("map", d3.select("#map-metric").property("value"));
+  params.set("basemap", d3.select("#map-basemap").property("value"));
 
-  tourismData = data;
+  params.set(
+    "metrics",
+    Object.keys(metricToggles)
+      .filter(k => d3.select(metricToggles[k]).property("checked"))
+      .join(",")
+  );
 
+  params.set("capacity", d3.select("#capacity-metric").property("value"));
+  params.set("view", d3.select("#chart-mode").property("value"));
+  if (metricViews.includes(d3.select("#chart-mode").property("value"))) {
+    params.set("viewMetric", d3.select("#view-metric").property("value"));
+  }
 
-  /* -------------------------
-     GEO DATA SETUP
-     ------------------------- */
+  if (marketViews.includes(d3.select("#chart-mode").property("value"))) {
+    params.set("measure", d3.select("#market-measure").property("value"));
+    params.set("top", d3.select("#market-top-n").property("value"));
+    params.set("share", d3.select("#market-share").property("checked") ? "1" : "0");
+    params.set("grouped", d3.select("#domestic-grouped").property("checked") ? "1" : "0");
+    params.set(
+      "markets",
+      Array.from(d3.select("#market-countries").property("selectedOptions"), o => o.value).join(",")
+    );
+  }
 
-  // Automatically detect the municipality name property
-  const nameKey = Object.keys(geo.features[0].properties)
-    .find(k => /name|naz|ime|obc/i.test(k)) 
-    || Object.keys(geo.features[0].properties)[0];
+  if (d3.select("#chart-mode").property("value") === "correlation") {
+    params.set("corrMeasure", d3.select("#correlation-measure").property("value"));
+    params.set("lag", d3.select("#correlation-lag").property("value"));
+    params.set("deseason", d3.select("#correlation-deseasonalize").property("checked") ? "1" : "0");
+  }
 
-  // Fit the projection to the map size
-  const featureCollection = {
-    type: "FeatureCollection",
-    features: geo.features
-  };
+  if (d3.select("#chart-mode").property("value") === "municipalities") {
+    params.set("scale", d3.select("#grid-scale").property("value"));
+    params.set("indexBase", d3.select("#grid-index-base").property("value"));
+  }
 
-  projection.fitSize([mapWidth, mapHeight], featureCollection);
+  if (activeMunicipalities.size > 0) {
+    params.set("municipalities", Array.from(activeMunicipalities).join(","));
+  }
 
+  if (activeTimeRange) {
+    params.set("range", activeTimeRange.join("-"));
+  }
 
-  /* -------------------------
-     BACKGROUND MAP TILES
-     ------------------------- */
+  if (activeWeatherStation) {
+    params.set("station", activeWeatherStation.id);
+    if (activeWeatherAttribute) params.set("attribute", activeWeatherAttribute);
 
-  const tile = d3.tile()
-    .size([mapWidth, mapHeight])
-    .scale(projection.scale() * 2 * Math.PI)
-    .translate(projection([0, 0]));
+    if (comparedWeatherStations.length > 0) {
+      params.set("compare", comparedWeatherStations.map(c => c.station.id).join(","));
+      params.set("compareStyle", d3.select("#weather-compare-style").property("value"));
+    }
+  }
 
-  const tiles = tile();
+  if (activeMunicipalities.size > 0) {
+    params.set("stationMethod", d3.select("#station-method").property("value"));
+  }
 
-  const tileUrl = ([x, y, z]) =>
-    `https://cartodb-basemaps-a.global.ssl.fastly.net/light_all/${z}/${x}/${y}.png`;
+  return params.toString();
+}
 
-  tileLayer.selectAll("image")
-    .data(tiles)
-    .join("image")
-    .attr("xlink:href", tileUrl)
-    .attr("x", d => (d[0] + tiles.translate[0]) * tiles.scale)
-    .attr("y", d => (d[1] + tiles.translate[1]) * tiles.scale)
-    .attr("width", tiles.scale)
-    .attr("height", tiles.scale);
 
+// Add the current view to the browser history (if it changed)
+function pushUrlState() {
+  const query = `?${serializeUrlState()}`;
+  if (query === window.location.search) return;
+
+  history.pushState(null, "", query);
+}
+
+
+/**
+ * Restore the view from the URL query parameters
+ * Everything except the weather station is applied synchronously;
+ * the returned promise resolves once the station data is loaded.
+ * @returns {Promise<void>}
+ */
+function restoreUrlState() {
+  const params = new URLSearchParams(window.location.search);
 
   /* -------------------------
-     METRIC SELECT (DROPDOWN)
+     COUNTRY & MAP METRIC
      ------------------------- */
 
-  // Extract country names from column headers
-  const countries = Array.from(
-    new Set(
-      data.columns
-        .filter(c => c.endsWith("(Arrivals)"))
-        .map(c => c.replace(" (Arrivals)", ""))
-    )
-  ).sort();
+  const countrySelect = d3.select("#metric");
+  const country = params.get("country");
+  const countries = countrySelect.selectAll("option").nodes().map(o => o.value);
+  if (countries.includes(country)) {
+    countrySelect.property("value", country);
+  }
 
-  // Populate dropdown
-  const select = d3.select("#metric");
-  countries.forEach(c =>
-    select.append("option")
-      .attr("value", c)
-      .text(c)
-  );
+  const mapMetric = params.get("map");
+  if (mapMetric in mapMetrics) {
+    d3.select("#map-metric").property("value", mapMetric);
+  }
 
-  // Update map & chart when metric changes
-  select.on("change", () => {
-    updateMap(geo, nameKey);
-    updateLineChart();
-  });
+  const basemap = params.get("basemap");
+  if (basemap in basemapSources) {
+    d3.select("#map-basemap").property("value", basemap);
+  }
 
 
   /* -------------------------
-     TOGGLE EVENTS
+     CHART VIEW & CAPACITY SERIES
      ------------------------- */
 
-  d3.selectAll(
-    "#toggle-arrivals, #toggle-overnights, #toggle-averagestays, #toggle-beds, #toggle-weather"
-  ).on("change", updateLineChart);
+  const capacity = params.get("capacity");
+  d3.select("#capacity-metric")
+    .property("value", capacity in capacityMetrics ? capacity : "none");
 
+  const view = params.get("view");
+  const views = d3.select("#chart-mode").selectAll("option").nodes().map(o => o.value);
+  d3.select("#chart-mode")
+    .property("value", views.includes(view) ? view : "timeline");
 
-  /* -------------------------
-     INITIAL RENDER
-     ------------------------- */
+  const metric = params.get("viewMetric");
+  if (metric in viewMetrics) {
+    d3.select("#view-metric").property("value", metric);
+  }
 
-  updateMap(geo, nameKey);
-  updateLineChart();
-});
+  const measure = params.get("measure");
+  if (measure in marketMeasures) {
+    d3.select("#market-measure").property("value", measure);
+  }
 
+  const topN = params.get("top");
+  if (d3.select("#market-top-n").selectAll("option").nodes().some(o => o.value === topN)) {
+    d3.select("#market-top-n").property("value", topN);
+  }
 
+  if (params.has("share")) {
+    d3.select("#market-share").property("checked", params.get("share") === "1");
+  }
 
-/* =========================================================
-   WEATHER HISTOGRAM
-   ========================================================= */
+  if (params.has("grouped")) {
+    d3.select("#domestic-grouped").property("checked", params.get("grouped") === "1");
+  }
 
-function drawWeatherHistogram(weatherData, attrKey) {
-  // Abort if no data is available
-  if (!weatherData || weatherData.length === 0) return;
+  const corrMeasure = params.get("corrMeasure");
+  if (corrMeasure in correlationMeasures) {
+    d3.select("#correlation-measure").property("value", corrMeasure);
+  }
 
-  // Remove existing weather-related elements
-  chartG.selectAll(".weather-hist").remove();
-  chartG.selectAll(".weather-y-axis").remove();
-  chartG.selectAll(".weather-y-label").remove();
+  const lag = params.get("lag");
+  if (d3.select("#correlation-lag").selectAll("option").nodes().some(o => o.value === lag)) {
+    d3.select("#correlation-lag").property("value", lag);
+  }
+
+  if (params.has("deseason")) {
+    d3.select("#correlation-deseasonalize").property("checked", params.get("deseason") === "1");
+  }
+
+  const gridScale = params.get("scale");
+  if (gridScale in gridScales) {
+    d3.select("#grid-scale").property("value", gridScale);
+  }
+
+  const indexBase = params.get("indexBase");
+  if (indexBase in gridIndexBases) {
+    d3.select("#grid-index-base").property("value", indexBase);
+  }
+
+  if (params.has("markets")) {
+    const markets = params.get("markets").split(",");
+    d3.select("#market-countries")
+      .selectAll("option")
+      .property("selected", c => markets.includes(c));
+  }
 
-  // Do not draw if weather display is disabled
-  if (!showWeather) return;
 
   /* -------------------------
-     SCALE SETUP
+     METRIC TOGGLES
      ------------------------- */
 
-  // Set Y-domain with padding for better readability
-  weatherY.domain([
-    0,
-    d3.max(weatherData, d => d[attrKey]) * 1.15
-  ]);
+  const metrics = params.has("metrics")
+    ? params.get("metrics").split(",")
+    : null;
+
+  if (metrics) {
+    Object.entries(metricToggles).forEach(([key, id]) =>
+      d3.select(id).property("checked", metrics.includes(key))
+    );
+  }
+
 
   /* -------------------------
-     HISTOGRAM BARS
+     MUNICIPALITIES & TIME RANGE
      ------------------------- */
 
-  const barLayer = chartG
-    .append("g")
-    .attr("class", "weather-hist");
+  const knownNames = municipalityGeo.features
+    .map(d => d.properties[municipalityNameKey]);
 
-  barLayer.selectAll("rect")
-    .data(weatherData)
-    .join("rect")
-    .attr("x", d => xScale(d.Month))
-    .attr("width", xScale.bandwidth())
-    .attr("y", d => weatherY(d[attrKey]))
-    .attr("height", d => innerHeight - weatherY(d[attrKey]))
-    .attr("fill", "rgba(0, 140, 255, 0.2)")
-    .attr("stroke-width", 1.2)
-    .lower(); // Send bars behind line charts
+  activeMunicipalities = new Set(
+    (params.get("municipalities") ?? "")
+      .split(",")
+      .filter(name => knownNames.includes(name) && hasTourismRows(name))
+  );
+
+  const months = tourismMonths();
+  const range = (params.get("range") ?? "").split("-");
+  activeTimeRange =
+    range.length === 2 && range.every(m => months.includes(m)) && range[0] <= range[1]
+      ? range
+      : null;
 
 
   /* -------------------------
-     WEATHER AXIS
+     WEATHER STATION
      ------------------------- */
 
-  const weatherAxis = d3.axisRight(weatherY).ticks(6);
+  const stationId = params.get("station");
+  const attr = params.get("attribute");
 
-  // Axis label text
-  const weatherAxisLabel =
-    `${attrKey} - Weather Station ${activeWeatherStation?.name ?? ""}`;
+  const method = params.get("stationMethod");
+  if (method in stationMethods) {
+    d3.select("#station-method").property("value", method);
+  }
 
-  // Adjust axis position when multiple right axes are visible
-  rightAxisShift  = showAverageStays ? 60 : 0;
-  rightLabelShift = showAverageStays ? 100 : 50;
+  const compareStyle = params.get("compareStyle");
+  if (["bars", "lines"].includes(compareStyle)) {
+    d3.select("#weather-compare-style").property("value", compareStyle);
+  }
 
-  // Draw right Y-axis
-  chartG.append("g")
-    .attr("class", "weather-y-axis")
-    .attr("transform", `translate(${innerWidth + rightAxisShift}, 0)`)
-    .call(weatherAxis)
-    .call(g => {
-      g.selectAll("path").attr("stroke", "skyblue");
-      g.selectAll("line").attr("stroke", "skyblue");
-      g.selectAll("text").attr("fill", "skyblue");
-    });
+  if (!stationId) {
+    if (activeWeatherStation) deactivateWeatherStation();
+    return Promise.resolve();
+  }
 
-  // Draw axis label
-  chartG.append("text")
-    .attr("class", "weather-y-label")
-    .attr(
-      "transform",
-      `translate(${innerWidth + rightLabelShift}, ${innerHeight / 2}) rotate(90)`
-    )
-    .attr("text-anchor", "middle")
-    .style("font-size", "14px")
-    .style("fill", "skyblue")
-    .text(weatherAxisLabel);
-}
-
-
-/* =========================================================
-   MAP UPDATE (MUNICIPALITIES & WEATHER STATIONS)
-   ========================================================= */
-
-function updateMap(geo, nameKey) {
-
-  /* -------------------------
-     CLEANUP
-     ------------------------- */
-
-  // Remove old municipality labels
-  mapLayer.selectAll(".label").remove();
-
-
-  /* -------------------------
-     MUNICIPALITY SHAPES
-     ------------------------- */
+  // Stations compared with the selected one
+  const compared = (params.get("compare") ?? "")
+    .split(",")
+    .map(id => weatherStations.find(s => s.id === id))
+    .filter(s => s && s.id !== stationId);
+
+  // Same station: only switch the attribute
+  if (activeWeatherStation?.id === stationId) {
+    if (weatherAttributes.includes(attr)) {
+      activeWeatherAttribute = attr;
+      d3.select("#weather-attr-select").property("value", attr);
+    }
+    return restoreComparedStations(compared);
+  }
 
-  mapLayer.selectAll("path")
-    .data(geo.features)
-    .join("path")
-    .attr("d", path)
-    .attr("fill", d => {
-      const name = d.properties[nameKey];
-      return activeMunicipalities.has(name)
-        ? colorScale(name)
-        : "#e0e0e003";
-    })
-    .attr("stroke", "#333")
-    .attr("stroke-width", 1)
-    .style("cursor", "pointer")
+  return resolveWeatherStation(stationId).then(resolved => {
+    if (!resolved) {
+      if (activeWeatherStation) deactivateWeatherStation();
+      return null;
+    }
 
-    // Toggle municipality on click
-    .on("click", (event, d) => {
-      const name = d.properties[nameKey];
-      activeMunicipalities.has(name)
-        ? activeMunicipalities.delete(name)
-        : activeMunicipalities.add(name);
+    return activateWeatherStation(resolved.station, attr, resolved.data);
+  }).then(() => {
+    if (!activeWeatherStation) return;
 
-      updateMap(geo, nameKey);
+    // Activation force-enables the overlay; honor a stored "off" toggle
+    if (metrics && !metrics.includes("weather")) {
+      d3.select("#toggle-weather").property("checked", false);
       updateLineChart();
-    })
+    }
 
-    // Highlight municipality on hover
-    .on("mouseenter", (event, d) => {
-      const name = d.properties[nameKey];
-      if (!activeMunicipalities.has(name)) {
-        d3.select(event.currentTarget)
-          .attr("fill", "#e0e0e09d");
-      }
-    })
+    return restoreComparedStations(compared);
+  });
+}
 
-    .on("mouseleave", (event, d) => {
-      const name = d.properties[nameKey];
-      if (!activeMunicipalities.has(name)) {
-        d3.select(event.currentTarget)
-          .attr("fill", "#e0e0e003");
-      }
-    });
 
+/**
+ * Replace the compared stations (already loaded ones are reused)
+ * @param {Array<Object>} stations - Entries of weatherStations
+ * @returns {Promise<void>}
+ */
+async function restoreComparedStations(stations) {
+  const loaded = new Map(comparedWeatherStations.map(c => [c.station.id, c]));
+  const unchanged = stations.length === loaded.size &&
+    stations.every(s => loaded.has(s.id));
+  if (unchanged) return;
+
+  const restored = await Promise.all(stations.map(async station =>
+    loaded.get(station.id) ?? { station, data: await loadWeatherCSV(station) }
+  ));
+
+  comparedWeatherStations = restored.filter(c => c.data);
+  styleWeatherStations();
+  updateLineChart();
+}
 
-  /* -------------------------
-     MUNICIPALITY LABELS
-     ------------------------- */
 
-  geo.features.forEach(d => {
-    const centroid = path.centroid(d);
-    const name = d.properties[nameKey];
+// Restore the view from the URL and redraw map and chart
+async function renderFromUrl() {
+  const restored = restoreUrlState();
 
-    const labelGroup = mapLayer.append("g")
-      .attr("class", "label")
-      .attr("transform", `translate(${centroid[0]}, ${centroid[1]})`)
-      .style("cursor", "pointer");
+  drawBasemap();
+  updateMap(municipalityGeo, municipalityNameKey);
+  updateLineChart();
 
-    const textEl = labelGroup.append("text")
-      .attr("text-anchor", "middle")
-      .attr("dy", "0.35em")
-      .attr("font-size", "12px")
-      .attr("font-family", "Aptos, sans-serif")
-      .attr("fill", "black")
-      .text(name);
+  return restored;
+}
 
-    // Background rectangle for text readability
-    const bbox = textEl.node().getBBox();
-    labelGroup.insert("rect", "text")
-      .attr("x", bbox.x - 4)
-      .attr("y", bbox.y - 3)
-      .attr("width", bbox.width + 8)
-      .attr("height", bbox.height + 6)
-      .attr("fill", "#ffffffc6")
-      .style("pointer-events", "none");
 
-    // Toggle municipality by clicking the label
-    labelGroup.on("click", () => {
-      activeMunicipalities.has(name)
-        ? activeMunicipalities.delete(name)
-        : activeMunicipalities.add(name);
+// Report a URL view that could not be restored and show the default view
+// instead (only the region is kept from the URL)
+function renderDefaultView(err) {
+  const label = "View in the URL";
+  reportDataQuality(label, [{
+    severity: "error",
+    message: `Could not be restored, the default view is shown (${err?.message ?? err})`
+  }]);
 
-      updateMap(geo, nameKey);
-      updateLineChart();
-    });
-  });
+  const region = new URLSearchParams(window.location.search).get("region");
+  history.replaceState(null, "", `?${new URLSearchParams(region ? { region } : {})}`);
 
+  return renderFromUrl().catch(fallbackErr => addDataQualityIssues(label, [{
+    severity: "error",
+    message: `The default view could not be drawn either (${fallbackErr?.message ?? fallbackErr})`
+  }]));
+}
 
-  /* -------------------------
-     WEATHER STATIONS
-     ------------------------- */
 
-  // Remove existing station nodes
-  mapLayer.selectAll(".weather-station").remove();
+/* =========================================================
+   DATA LOADING
+   ========================================================= */
 
-  const stationNodes = mapLayer.selectAll(".weather-station")
-    .data(weatherStations)
-    .join("circle")
-    .attr("class", "weather-station")
-    .attr("cx", d => projection(d.coords)[0])
-    .attr("cy", d => projection(d.coords)[1])
-    .attr("r", d => activeWeatherStation?.id === d.id ? 6 : 4)
-    .attr("fill", d => activeWeatherStation?.id === d.id ? "black" : "white")
-    .attr("stroke", "black")
-    .attr("stroke-width", 1)
-    .style("cursor", "pointer");
+/**
+ * Fill the source-country dropdown and the market multi-select from the
+ * tourism columns; called again when an upload adds markets, keeping the
+ * current selection where it still exists
+ */
+function populateCountrySelects() {
 
-  // Hover interaction + tooltip
-  stationNodes
-    .on("mouseenter", function (event, d) {
-      if (activeWeatherStation?.id !== d.id) {
-        d3.select(this).attr("r", 6);
-      }
+  // Extract country names from column headers
+  const countries = Array.from(
+    new Set(
+      tourismData.columns
+        .filter(c => c.endsWith("(Arrivals)"))
+        .map(c => c.replace(" (Arrivals)", ""))
+    )
+  ).sort();
 
-      tooltip
-        .style("display", "block")
-        .style("left", `${event.pageX + 10}px`)
-        .style("top", `${event.pageY - 10}px`)
-        .html(`${d.name} (${d.altitude} m)`);
-    })
+  // Populate dropdown, keeping totals and grouped markets apart
+  // from individual countries
+  const select = d3.select("#metric");
+  const selectedCountry = select.property("value");
 
-    .on("mouseleave", function (event, d) {
-      if (activeWeatherStation?.id !== d.id) {
-        d3.select(this).attr("r", 4);
-      }
-      tooltip.style("display", "none");
-    })
+  const countryGroups = [
+    { label: "Totals",          items: countries.filter(c => ["All", "Slovenia", "Foreign"].includes(c)) },
+    { label: "Grouped markets", items: countries.filter(c => c.startsWith("Other ")) },
+    { label: "Countries",       items: countries.filter(c =>
+        !["All", "Slovenia", "Foreign"].includes(c) && !c.startsWith("Other ")) }
+  ];
 
-    // Click interaction: activate / deactivate station
-    .on("click", async function (event, d) {
+  select.selectAll("optgroup").remove();
 
-      // Deactivate station if already selected
-      if (activeWeatherStation?.id === d.id) {
-        activeWeatherStation  = null;
-        activeWeatherData     = null;
-        activeWeatherAttribute = null;
+  countryGroups.forEach(group => {
+    const optgroup = select.append("optgroup")
+      .attr("label", group.label);
 
-        stationNodes
-          .attr("r", 4)
-          .attr("fill", "white");
+    group.items.forEach(c =>
+      optgroup.append("option")
+        .attr("value", c)
+        .text(c === "Slovenia" ? "Slovenia (domestic)" : c)
+    );
+  });
 
-        chartG.selectAll(".weather-hist").remove();
-        chartG.selectAll(".weather-y-axis").remove();
-        chartG.selectAll(".weather-y-label").remove();
+  // Totals come first: "All" stays the default selection
+  select.property("value", countries.includes(selectedCountry) ? selectedCountry : "All");
 
-        d3.select("#weather-attr-select").style("display", "none");
-        d3.select("#weather-attr-select-label").style("display", "none");
-        d3.select("#label-weather").style("display", "none");
+  // Individual source markets (without total columns)
+  marketCountries = countries.filter(c => !marketTotals.includes(c));
 
-        return;
-      }
+  // Populate the market multi-select, preselecting the three largest markets
+  const selectedMarkets = Array.from(
+    d3.select("#market-countries").property("selectedOptions"),
+    o => o.value
+  );
+  const preselected = selectedMarkets.length > 0
+    ? selectedMarkets
+    : rankMarkets("Arrivals", tourismMonths()).slice(0, 3).map(d => d.country);
 
-      /* -------------------------
-         ACTIVATE STATION
-         ------------------------- */
+  d3.select("#market-countries")
+    .selectAll("option")
+    .data(marketCountries)
+    .join("option")
+    .attr("value", c => c)
+    .property("selected", c => preselected.includes(c))
+    .text(c => c);
+}
 
-      // Force-enable weather toggle
-      d3.select("#toggle-weather").property("checked", true);
-      showWeather = true;
 
-      activeWeatherStation = d;
+// Page title and introduction of the configured region
+// ({count} and {municipalities} in the intro list the map's municipalities)
+function showRegionIntro(names) {
+  const title = regionConfig.title ?? regionConfig.name;
+  document.title = title;
+  d3.select("#header h1").text(title);
+
+  // The configuration is text only: it is added as text nodes, with the
+  // municipality names in <b> elements (never parsed as HTML)
+  const intro = d3.select("#intro").text("");
+
+  (regionConfig.intro ?? "")
+    .replace("{count}", names.length)
+    .split("{municipalities}")
+    .forEach((part, i) => {
+      if (i > 0) {
+        names.forEach((name, j) => {
+          if (j > 0) intro.append(() => document.createTextNode(j === names.length - 1 ? ", and " : ", "));
+          intro.append("b").text(name);
+        });
+      }
+      intro.append(() => document.createTextNode(part));
+    });
+}
 
-      stationNodes
-        .attr("r", s => activeWeatherStation?.id === s.id ? 6 : 4)
-        .attr("fill", s => activeWeatherStation?.id === s.id ? "black" : "white");
 
-      // Load station CSV data
-      const weatherData = await loadWeatherCSV(d);
-      if (!weatherData) return;
+// The region configuration names the files, which are validated
+// against their schemas while loading (see data.js)
+loadRegionConfig().then(config => !config ? [] : Promise.all([
+  loadGeoData(dataSources.geo),     // Municipality geometries
+  loadCsvData(dataSources.tourism), // Tourism indicators
+  loadCsvData(dataSources.beds),    // Accommodation capacity
+  loadStoredUploads()               // Files uploaded on earlier visits
+])).then(([geo, data, beds]) => {
 
-      // Populate attribute dropdown
-      populateWeatherDropdown(weatherData);
+  // The dashboard cannot be drawn without the map and tourism data
+  // (files missing required columns load as null)
+  if (!geo || !data) return;
 
-      // Draw default attribute
-      const defaultAttr = weatherAttributes[0];
-      drawWeatherHistogram(weatherData, defaultAttr);
+  // Uploaded files update the bundled data
+  bedsData    = applyUploads(beds ?? [], "beds");
+  tourismData = applyUploads(data, "tourism");
 
-      activeWeatherData      = weatherData;
-      activeWeatherAttribute = defaultAttr;
 
-      tooltip.style("display", "none");
-    });
-}
+  /* -------------------------
+     GEO DATA SETUP
+     ------------------------- */
 
+  // Municipality name property given by the region configuration
+  const nameKey = dataSources.geo.nameProperty;
 
-/* =========================================================
-   WEATHER CSV LOADER
-   ========================================================= */
+  // Fit the projection to the map size
+  const featureCollection = {
+    type: "FeatureCollection",
+    features: geo.features
+  };
 
-async function loadWeatherCSV(station) {
+  projection.fitSize([mapWidth, mapHeight], featureCollection);
 
-  // Resolve file name (explicit or derived from station id)
-  const fileName = station.file ?? `${station.id}.csv`;
-  const url = `data/weatherData/${fileName}`;
+  municipalityGeo     = geo;
+  municipalityNameKey = nameKey;
 
-  try {
-    const data = await d3.csv(url);
-    if (!data || data.length === 0) return null;
 
-    data.forEach(d => {
+  /* -------------------------
+     REGION
+     ------------------------- */
 
-      // Normalize month column
-      if (d.month) {
-        d.Month = d.month.replace("/", "M");
-      } else {
-        console.warn("CSV row missing `month`:", d);
-        d.Month = null;
-      }
+  // Stations and texts of the configured region
+  weatherStations = regionConfig.weather.stations;
+  stationColor.domain(weatherStations.map(s => s.id));
 
-      // Convert numeric values
-      for (let key in d) {
-        if (
-          key !== "station name" &&
-          key !== "month" &&
-          key !== "Month" &&
-          !isNaN(+d[key])
-        ) {
-          d[key] = +d[key];
-        }
-      }
-    });
+  showRegionIntro(allMunicipalityNames());
 
-    return data;
+  // Report table rows the map cannot show
+  checkMunicipalityNames(allMunicipalityNames(), tourismData, bedsData);
 
-  } catch (err) {
-    console.error("Failed to load weather CSV:", err);
-    return null;
-  }
-}
+  // Stations representing each municipality
+  assignWeatherStations(geo, nameKey);
 
 
+  /* -------------------------
+     MAP ZOOM & BASEMAP
+     ------------------------- */
 
-/* =========================================================
-   WEATHER ATTRIBUTE SELECTION
-   ========================================================= */
+  // Zoom starts from the fitted projection (tiles are drawn on render)
+  initMapZoom();
 
-// List of numeric weather attributes available in the dataset
-let weatherAttributes = [];
+  d3.select("#map-basemap").on("change", () => {
+    setBasemapUnavailable(false);
+    drawBasemap();
+    pushUrlState();
+  });
 
+  d3.select("#map-reset-zoom").on("click", resetMapZoom);
 
-/**
- * Populate the weather attribute dropdown
- * @param {Array<Object>} weatherData - Parsed CSV data for a weather station
- */
-function populateWeatherDropdown(weatherData) {
 
-  // Extract numeric columns from the first row
-  const numericKeys = Object.keys(weatherData[0]).filter(
-    k => typeof weatherData[0][k] === "number"
-  );
+  /* -------------------------
+     METRIC SELECT (DROPDOWN)
+     ------------------------- */
 
-  // Store available attributes globally
-  weatherAttributes = numericKeys;
+  populateCountrySelects();
 
+  const select = d3.select("#metric");
 
-  /* -------------------------
-     DROPDOWN LABEL
-     ------------------------- */
+  // Update map & chart when metric changes
+  select.on("change", () => {
+    updateMap(geo, nameKey);
+    updateLineChart();
+    pushUrlState();
+  });
 
-  const label = d3.select("#weather-attr-select-label");
-  label.style("display", "inline-block");
+  // Recolor the map when the choropleth metric changes
+  d3.select("#map-metric").on("change", () => {
+    updateMap(geo, nameKey);
+    pushUrlState();
+  });
 
 
   /* -------------------------
-     DROPDOWN SELECT
+     TOGGLE EVENTS
      ------------------------- */
 
-  const sel = d3.select("#weather-attr-select");
-  sel.style("display", "inline-block");
-
-  // Remove existing options
-  sel.selectAll("option").remove();
+  d3.selectAll(
+    "#toggle-arrivals, #toggle-overnights, #toggle-averagestays, #toggle-beds, #toggle-weather, " +
+    "#weather-compare-style"
+  ).on("change", () => {
+    updateLineChart();
+    pushUrlState();
+  });
 
-  // Add new options
-  sel.selectAll("option")
-    .data(numericKeys)
-    .join("option")
-    .attr("value", d => d)
-    .text(d => d);
+  // Switch views, the capacity series and market view options
+  d3.selectAll(
+    "#chart-mode, #view-metric, #capacity-metric, " +
+    "#market-measure, #market-top-n, #market-share, #market-countries, #domestic-grouped, " +
+    "#correlation-measure, #correlation-lag, #correlation-deseasonalize, " +
+    "#grid-scale, #grid-index-base"
+  ).on("change", () => {
+    updateLineChart();
+    pushUrlState();
+  });
 
-  // Redraw histogram when attribute changes
-  sel.on("change", () => {
-    const attr = sel.property("value");
-    drawWeatherHistogram(weatherData, attr);
+  // Suggested weather series of the last selected municipality
+  d3.select("#station-method").on("change", () => {
+    updateStationSuggestion();
+    pushUrlState();
   });
 
+  d3.select("#station-suggestion-apply").on("click", applyStationSuggestion);
+
 
   /* -------------------------
-     SECONDARY WEATHER LABEL
+     INITIAL RENDER
      ------------------------- */
 
-  const label2 = d3.select("#label-weather");
-  label2.style("display", "inline-block");
-}
+  // Restore the view encoded in the URL (if any) and render it
+  renderFromUrl()
+    .then(() => {
+      history.replaceState(null, "", `?${serializeUrlState()}`);
+    })
+    .catch(renderDefaultView);
+
+  // Step through earlier views with browser back/forward
+  window.addEventListener("popstate", () => renderFromUrl().catch(renderDefaultView));
+}).catch(err => {
+  // Anything failing while the dashboard is set up (the load errors of
+  // single files are already in the report)
+  reportDataQuality("Dashboard", [{
+    severity: "error",
+    message: `The dashboard could not be set up (${err?.message ?? err})`
+  }]);
+});
+
 
 
 /* =========================================================
-   WEATHER HISTOGRAM (DISTRIBUTION)
+   WEATHER HISTOGRAM
    ========================================================= */
 
-/**
- * Update the histogram showing value distribution
- * of the currently selected weather attribute
- */
-function updateWeatherHistogram() {
+function drawWeatherHistogram(weatherData, attrKey) {
+  showWeatherFormula(weatherData ? attrKey : null);
 
-  // Remove previous histogram
+  // Abort if no data is available
+  if (!weatherData || weatherData.length === 0) return;
+
+  // Remove existing weather-related elements
   chartG.selectAll(".weather-hist").remove();
+  chartG.selectAll(".weather-y-axis").remove();
+  chartG.selectAll(".weather-y-label").remove();
+  chartG.selectAll(".weather-mean").remove();
+  chartG.selectAll(".weather-legend").remove();
 
-  // Abort if no active weather state
-  if (!activeWeatherData || !activeWeatherAttribute) return;
+  // Do not draw if weather display is disabled
+  // (the overlay belongs to the timeline view only)
+  if (!showWeather || chartMode !== "timeline") return;
+
+  // Several stations are drawn side by side instead of the single histogram
+  if (comparedWeatherStations.length > 0) {
+    drawWeatherComparison(attrKey);
+    return;
+  }
 
   /* -------------------------
-     DATA PREPARATION
+     SCALE SETUP
      ------------------------- */
 
-  // Extract numeric values and filter invalid entries
-  const data = activeWeatherData
-    .map(d => +d[activeWeatherAttribute])
-    .filter(v => !isNaN(v));
+  // Only the months in focus are drawn (the x-scale is zoomed)
+  const focusMonths = new Set(xScale.domain());
+  const encoding = weatherEncoding(attrKey);
+  const rows = weatherData.filter(d =>
+    focusMonths.has(d.Month) && typeof d[attrKey] === "number"
+  );
 
+  // Zero-based for bars, data range for lines (negative values allowed)
+  weatherY.domain(weatherDomain(rows.map(d => d[attrKey]), encoding));
+
+  // Months inside the shared brushed time range
+  const rangeMonths = new Set(activeMonths());
 
   /* -------------------------
-     SCALES
+     HISTOGRAM BARS / LINE
      ------------------------- */
 
-  // X-scale for value range
-  const x = d3.scaleLinear()
-    .domain([d3.min(data), d3.max(data)])
-    .range([0, innerWidth]);
+  const barLayer = chartG
+    .append("g")
+    .attr("class", "weather-hist");
 
-  // Create histogram bins
-  const bins = d3.bin()
-    .thresholds(12)(data);
+  if (encoding === "bars") {
+    barLayer.selectAll("rect")
+      .data(rows)
+      .join("rect")
+      .attr("x", d => xScale(d.Month))
+      .attr("width", xScale.bandwidth())
+      .attr("y", d => weatherY(Math.max(0, d[attrKey])))
+      .attr("height", d => Math.abs(weatherY(d[attrKey]) - weatherY(0)))
+      .attr("fill", "rgba(0, 140, 255, 0.2)")
+      .attr("stroke-width", 1.2);
+  } else {
+    barLayer.append("path")
+      .datum(rows)
+      .attr("fill", "none")
+      .attr("stroke", "rgba(0, 140, 255, 0.45)")
+      .attr("stroke-width", 2)
+      .attr("d", d3.line()
+        .x(d => monthCenterPx(d.Month, xScale))
+        .y(d => weatherY(d[attrKey])));
+
+    barLayer.selectAll("circle")
+      .data(rows)
+      .join("circle")
+      .attr("cx", d => monthCenterPx(d.Month, xScale))
+      .attr("cy", d => weatherY(d[attrKey]))
+      .attr("r", 2)
+      .attr("fill", "rgba(0, 140, 255, 0.6)");
+  }
 
-  // Y-scale for bin counts
-  const y = d3.scaleLinear()
-    .domain([0, d3.max(bins, b => b.length)])
-    .range([innerHeight, 0]);
+  barLayer.lower(); // Send weather series behind line charts
 
 
   /* -------------------------
-     HISTOGRAM BARS
+     MEAN OF BRUSHED RANGE
      ------------------------- */
 
-  const histLayer = chartG
-    .insert("g", ":first-child")
-    .attr("class", "weather-hist");
+  if (activeTimeRange) {
+    const rangeData = weatherData.filter(d => rangeMonths.has(d.Month));
+    const meanValue = d3.mean(rangeData, d => d[attrKey]);
 
-  histLayer.selectAll("rect")
-    .data(bins)
-    .join("rect")
-    .attr("x", d => x(d.x0))
-    .attr("y", d => y(d.length))
-    .attr("width", d => Math.max(0, x(d.x1) - x(d.x0) - 1))
-    .attr("height", d => innerHeight - y(d.length))
-    .attr("fill", "rgba(0, 123, 255, 0.25)");
+    if (meanValue !== undefined) {
+      const [start, end] = activeTimeRange;
+      const x1 = xScale(start);
+      const x2 = xScale(end) + xScale.bandwidth();
+
+      const meanLayer = chartG.append("g")
+        .attr("class", "weather-mean");
+
+      meanLayer.append("line")
+        .attr("x1", x1)
+        .attr("x2", x2)
+        .attr("y1", weatherY(meanValue))
+        .attr("y2", weatherY(meanValue))
+        .attr("stroke", "skyblue")
+        .attr("stroke-width", 2)
+        .attr("stroke-dasharray", "6,3");
+
+      meanLayer.append("text")
+        .attr("x", x2)
+        .attr("y", weatherY(meanValue) - 4)
+        .attr("text-anchor", "end")
+        .style("fill", "steelblue")
+        .text(`Mean: ${formatWeatherValue(meanValue, attrKey)}`);
+    }
+  }
+
+
+  drawWeatherAxis(
+    `${weatherAttributeLabel(attrKey)} - Weather Station ${activeWeatherStation?.name ?? ""}`
+  );
 }
 
 
-/* =========================================================
-   CHART SVG & LAYOUT
-   ========================================================= */
+/**
+ * Compare the attribute of several stations as grouped bars or lines
+ * @param {string} attrKey - Weather attribute
+ */
+function drawWeatherComparison(attrKey) {
+  const stations = visibleWeatherStations();
+  const style = d3.select("#weather-compare-style").property("value");
+  const months = new Set(xScale.domain());
+
+  // Rows of a station that carry the attribute and lie on the x-axis
+  const stationRows = data => data.filter(d =>
+    months.has(d.Month) && typeof d[attrKey] === "number"
+  );
 
-// Create SVG container for the chart
-const chartSvg = d3.select("#chart")
-  .append("svg")
-  .attr("width", chartWidth)
-  .attr("height", chartHeight);
+  weatherY.domain(weatherDomain(
+    stations.flatMap(s => stationRows(s.data).map(d => d[attrKey])),
+    style === "bars" ? "bars" : "line"
+  ));
 
-// Margins for the chart area
-let margin = {
-  top: 30,
-  right: 130,
-  bottom: 100,
-  left: 100
-};
+  const layer = chartG.append("g")
+    .attr("class", "weather-hist");
 
-// Inner chart dimensions
-const innerWidth  = chartWidth  - margin.left - margin.right;
-const innerHeight = chartHeight - margin.top  - margin.bottom;
 
-// Main chart group
-const chartG = chartSvg.append("g")
-  .attr("transform", `translate(${margin.left}, ${margin.top})`);
+  /* -------------------------
+     GROUPED BARS OR LINES
+     ------------------------- */
+
+  if (style === "bars") {
+    const xInner = d3.scaleBand()
+      .domain(stations.map(s => s.station.id))
+      .range([0, xScale.bandwidth()]);
+
+    stations.forEach(({ station, data }) => {
+      layer.append("g")
+        .attr("class", "weather-station-bars " + safeClassName(station.id))
+        .selectAll("rect")
+        .data(stationRows(data))
+        .join("rect")
+        .attr("x", d => xScale(d.Month) + xInner(station.id))
+        .attr("width", xInner.bandwidth())
+        .attr("y", d => weatherY(Math.max(0, d[attrKey])))
+        .attr("height", d => Math.abs(weatherY(d[attrKey]) - weatherY(0)))
+        .attr("fill", stationColor(station.id))
+        .attr("fill-opacity", 0.35);
+    });
+  } else {
+    stations.forEach(({ station, data }) => {
+      layer.append("path")
+        .datum(stationRows(data))
+        .attr("class", "weather-station-line " + safeClassName(station.id))
+        .attr("fill", "none")
+        .attr("stroke", stationColor(station.id))
+        .attr("stroke-width", 1.5)
+        .attr("stroke-opacity", 0.6)
+        .attr("d", d3.line()
+          .x(d => monthCenterPx(d.Month, xScale))
+          .y(d => weatherY(d[attrKey])));
+    });
+  }
 
+  layer.lower(); // Send weather series behind line charts
 
-/* =========================================================
-   SCALES
-   ========================================================= */
 
-// X-scale for categorical months
-const xScale = d3.scaleBand()
-  .padding(0.2);
+  /* -------------------------
+     LEGEND (NAME & ALTITUDE)
+     ------------------------- */
 
-// Y-scale for tourism metrics
-const yScale = d3.scaleLinear();
+  const rows = chartG.append("g")
+    .attr("class", "weather-legend")
+    .attr("transform", `translate(${innerWidth - 150}, 0)`)
+    .selectAll("g")
+    .data(stations)
+    .join("g")
+    .attr("transform", (d, i) => `translate(0, ${i * 18})`);
 
-// Y-scale for average stays (secondary axis)
-const yAvgScale = d3.scaleLinear()
-  .range([innerHeight, 0]);
+  rows.append("rect")
+    .attr("width", 12)
+    .attr("height", 12)
+    .attr("rx", 2)
+    .attr("fill", d => stationColor(d.station.id))
+    .attr("fill-opacity", 0.6);
 
-// Y-scale for weather values
-const weatherY = d3.scaleLinear()
-  .range([innerHeight, 0]);
+  rows.append("text")
+    .attr("x", 18)
+    .attr("y", 10)
+    .style("font-size", "11px")
+    .style("fill", "#333")
+    .text(d => {
+      const hasData = d.data.some(r => typeof r[attrKey] === "number");
+      return stationLabel(d.station) + (hasData ? "" : " – no data");
+    });
 
+  drawWeatherAxis(`${weatherAttributeLabel(attrKey)} - Weather Stations`);
+}
 
-/* =========================================================
-   CHART TOOLTIP
-   ========================================================= */
 
-// Tooltip used inside the chart area
-const chartTooltip = d3.select("body")
-  .append("div")
-  .attr("class", "tooltip")
-  .style("display", "none");
+/**
+ * Draw the right weather axis and its label
+ * @param {string} weatherAxisLabel - Axis label text
+ */
+function drawWeatherAxis(weatherAxisLabel) {
+  const weatherAxis = d3.axisRight(weatherY).ticks(6);
 
+  // Adjust axis position when multiple right axes are visible
+  rightAxisShift  = (showAverageStays ? 60 : 0) +
+                    (capacityMetric in capacityMetrics ? 60 : 0);
+  rightLabelShift = rightAxisShift === 0 ? 50 : rightAxisShift + 40;
 
-/* =========================================================
-   BACKGROUND INTERACTION LAYER
-   ========================================================= */
+  // Draw right Y-axis
+  chartG.append("g")
+    .attr("class", "weather-y-axis")
+    .attr("transform", `translate(${innerWidth + rightAxisShift}, 0)`)
+    .call(weatherAxis)
+    .call(g => {
+      g.selectAll("path").attr("stroke", "skyblue");
+      g.selectAll("line").attr("stroke", "skyblue");
+      g.selectAll("text").attr("fill", "skyblue");
+    });
 
-// Transparent rectangle to capture clicks and clear interactions
-chartG.append("rect")
-  .attr("class", "bg-rect")
-  .attr("width", innerWidth)
-  .attr("height", innerHeight)
-  .attr("fill", "transparent")
-  .style("pointer-events", "all")
-  .on("click", () => {
-    chartTooltip.style("display", "none");
-    chartG.selectAll(".brush")
-      .call(d3.brushX().clear);
-  });
+  // Draw axis label
+  chartG.append("text")
+    .attr("class", "weather-y-label")
+    .attr(
+      "transform",
+      `translate(${innerWidth + rightLabelShift}, ${innerHeight / 2}) rotate(90)`
+    )
+    .attr("text-anchor", "middle")
+    .style("font-size", "14px")
+    .style("fill", "skyblue")
+    .text(weatherAxisLabel);
+}
 
 
 /* =========================================================
-   UTILITY FUNCTIONS
+   MAP CHOROPLETH (METRIC AGGREGATION)
    ========================================================= */
 
+// Metrics available for coloring the map
+const mapMetrics = {
+  arrivals:       { label: "Arrivals",                    format: d3.format(",.0f") },
+  overnights:     { label: "Overnights",                  format: d3.format(",.0f") },
+  averageStay:    { label: "Average stay",                format: d3.format(".2f") },
+  beds:           { label: "Beds",                        format: d3.format(",.0f"), countryIndependent: true },
+  occupancy:      { label: "Overnights per bed per year", format: d3.format(",.1f") },
+  occupancyRate:  { label: "Bed occupancy rate (%)",      format: d3.format(".1f") },
+  arrivalsPerKm2: { label: "Arrivals per km²",            format: d3.format(",.1f") },
+  foreignShare:   { label: "Foreign share of arrivals (%)", format: d3.format(".1f"), countryIndependent: true }
+};
+
+// Sequential color scale for municipality values
+const choroplethScale = d3.scaleSequential(d3.interpolateBlues);
+
+
 /**
- * Get the pixel center of a month band
- * @param {string} m - Month key
- * @param {d3.ScaleBand} xScale - Band scale for months
- * @returns {number} X coordinate of the band center
+ * Aggregate one map metric for a municipality over a set of months
+ * @param {string} name - Municipality name
+ * @param {string} metric - Key of mapMetrics
+ * @param {string} country - Selected country (column prefix)
+ * @param {Array<string>} months - Month keys (format: YYYYMx)
+ * @returns {number|null} Aggregated value, or null if undefined
  */
-function monthCenterPx(m, xScale) {
-  return xScale(m) + xScale.bandwidth() / 2;
-}
+function municipalityMetricValue(name, metric, country, months) {
+  const monthSet = new Set(months);
 
+  // Tourism rows of the municipality inside the time range
+  const rows = tourismData.filter(d =>
+    municipalityKey(d.Municipality) === municipalityKey(name) &&
+    monthSet.has(d.Month)
+  );
 
-function updateLineChart() {
-  // Read selected country/metric from dropdown
-  const country = d3.select("#metric").property("value");
+  const sumArr  = d3.sum(rows, r => r[`${country} (Arrivals)`]);
+  const sumOver = d3.sum(rows, r => r[`${country} (Overnight stays)`]);
+
+  // Beds are yearly, so average over the years covered by the range
+  const years = Array.from(new Set(months.map(m => +m.split("M")[0])));
+  const beds = d3.mean(years, y => totalBeds([name], y) ?? undefined);
+
+  // Capacity metrics only use months whose year has bed data
+  const bedRows = rows
+    .map(r => ({
+      overnights: r[`${country} (Overnight stays)`],
+      beds: totalBeds([name], +r.Month.split("M")[0]),
+      days: daysInMonth(r.Month)
+    }))
+    .filter(r => r.beds);
+
+  const bedNights = d3.sum(bedRows, r => r.beds * r.days);
+  const area = municipalityArea(name);
+
+  switch (metric) {
+    case "arrivals":       return sumArr;
+    case "overnights":     return sumOver;
+    case "averageStay":    return sumArr ? sumOver / sumArr : null;
+    case "beds":           return beds ?? null;
+    case "occupancyRate":  return bedNights ? d3.sum(bedRows, r => r.overnights) / bedNights * 100 : null;
+    case "arrivalsPerKm2": return area ? sumArr / area : null;
+
+    // Foreign share of domestic + foreign arrivals
+    case "foreignShare": {
+      const foreign  = d3.sum(rows, r => r["Foreign (Arrivals)"]);
+      const domestic = d3.sum(rows, r => r["Slovenia (Arrivals)"]);
+      return foreign + domestic ? foreign / (foreign + domestic) * 100 : null;
+    }
 
-  // Read toggle states for individual data layers
-  showArrivals = d3.select("#toggle-arrivals").property("checked");
-  showOvernights = d3.select("#toggle-overnights").property("checked");
-  showAverageStays = d3.select("#toggle-averagestays").property("checked");
-  showBeds = d3.select("#toggle-beds").property("checked");
-  showWeather = d3.select("#toggle-weather").property("checked");
+    // Annualized: mean monthly overnights per bed × 12
+    case "occupancy":
+      return bedRows.length
+        ? d3.mean(bedRows, r => r.overnights / r.beds) * 12
+        : null;
 
-  // Hide tooltip whenever the chart is redrawn
-  chartTooltip.style("display", "none");
+    default:               return null;
+  }
+}
 
-  // Remove all existing chart elements except:
-  // - background rectangle
-  // - weather histogram
-  // - weather y-axis and its label
-  chartG
-    .selectAll(
-      "*:not(.bg-rect):not(.weather-hist):not(.weather-y-axis):not(.weather-y-label)"
+
+/**
+ * Draw the color legend of the choropleth below the map
+ * @param {string} metric - Key of mapMetrics
+ * @param {string} country - Selected country
+ * @param {Array<string>} months - Months the values are aggregated over
+ */
+function drawMapColorLegend(metric, country, months) {
+  const container = d3.select("#map-color-legend");
+  container.selectAll("*").remove();
+
+  const legendWidth  = 220;
+  const legendHeight = 10;
+
+  const legendSvg = container.append("svg")
+    .attr("width", legendWidth + 20)
+    .attr("height", legendHeight + 50);
+
+  // Gradient sampled from the sequential scale
+  const gradient = legendSvg.append("defs")
+    .append("linearGradient")
+    .attr("id", "choropleth-gradient");
+
+  gradient.selectAll("stop")
+    .data(d3.range(0, 1.01, 0.1))
+    .join("stop")
+    .attr("offset", t => `${t * 100}%`)
+    .attr("stop-color", t => choroplethScale.interpolator()(t));
+
+  // Legend title (beds and foreign share do not depend on the selected country)
+  legendSvg.append("text")
+    .attr("x", 10)
+    .attr("y", 10)
+    .text(mapMetrics[metric].countryIndependent
+      ? mapMetrics[metric].label
+      : `${mapMetrics[metric].label} – ${country}`);
+
+  legendSvg.append("rect")
+    .attr("x", 10)
+    .attr("y", 16)
+    .attr("width", legendWidth)
+    .attr("height", legendHeight)
+    .attr("fill", "url(#choropleth-gradient)");
+
+  // Value axis under the gradient
+  const legendScale = d3.scaleLinear()
+    .domain(choroplethScale.domain())
+    .range([0, legendWidth]);
+
+  legendSvg.append("g")
+    .attr("transform", `translate(10, ${16 + legendHeight})`)
+    .call(
+      d3.axisBottom(legendScale)
+        .ticks(4)
+        .tickSize(3)
+        .tickFormat(mapMetrics[metric].format)
     )
-    .remove();
+    .call(g => g.select(".domain").remove());
 
-  // Ensure correct layering (z-order) of weather-related elements
-  chartG.selectAll('.weather-hist').lower();   // send histogram to background
-  chartG.selectAll('.weather-y-axis').raise(); // keep axis visible
-  chartG.selectAll('.weather-y-label').raise();// keep label on top
+  // Time range the values are aggregated over
+  legendSvg.append("text")
+    .attr("x", 10)
+    .attr("y", legendHeight + 46)
+    .text(formatPeriod(months));
+}
 
-  // (Re)draw weather histogram depending on toggle state
-  drawWeatherHistogram(activeWeatherData, activeWeatherAttribute, showWeather);
 
-  // Get currently selected municipalities
-  const selected = Array.from(activeMunicipalities);
+/* =========================================================
+   MAP UPDATE (MUNICIPALITIES & WEATHER STATIONS)
+   ========================================================= */
 
-  // Container for tourism datasets (one per municipality or aggregated)
-  let datasets = [];
+function updateMap(geo, nameKey) {
 
-  // Abort if tourism data is missing or empty
-  if (!tourismData || tourismData.length === 0) return;
+  /* -------------------------
+     CLEANUP
+     ------------------------- */
 
-  // CASE 1: No municipality selected → aggregate all municipalities together
-  if (selected.length === 0) {
-    // Extract all unique months and sort them chronologically
-    const allMonths = Array.from(new Set(tourismData.map(d => d.Month)))
-      .sort(d3.ascending);
+  // Remove old municipality labels
+  mapLayer.selectAll(".label").remove();
 
-    // Remove the first month (often incomplete or used as baseline)
-    allMonths.shift();
 
-    // Construct dynamic column names based on selected country
-    const keyArr = `${country} (Arrivals)`;
-    const keyOver = `${country} (Overnight stays)`;
+  /* -------------------------
+     CHOROPLETH VALUES
+     ------------------------- */
 
-    // Sum arrivals and overnight stays across all municipalities per month
-    const monthlySum = allMonths.map(m => {
-      const rows = tourismData.filter(d => d.Month === m);
-      const totalArr = d3.sum(rows, r => r[keyArr]);
-      const totalOver = d3.sum(rows, r => r[keyOver]);
+  const country = d3.select("#metric").property("value");
+  const metric  = d3.select("#map-metric").property("value");
+  const months  = activeMonths();
 
-      return {
-        Municipality: "All Municipalities Combined",
-        Month: m,
-        Arrivals: totalArr,
-        Overnights: totalOver,
-        // Average stay = overnight stays divided by arrivals
-        AverageStay: totalArr ? (totalOver / totalArr) : 0
-      };
-    });
+  // Aggregated value per municipality name
+  const values = new Map(
+    geo.features.map(d => {
+      const name = d.properties[nameKey];
+      return [name, municipalityMetricValue(name, metric, country, months)];
+    })
+  );
 
-    datasets.push(monthlySum);
+  choroplethScale.domain([0, d3.max(values.values()) || 1]);
 
-  // CASE 2: One or more municipalities selected → process each separately
-  } else {
-    selected.forEach(m => {
-      const keyArr = `${country} (Arrivals)`;
-      const keyOver = `${country} (Overnight stays)`;
+  drawMapColorLegend(metric, country, months);
 
-      // Filter tourism data for the selected municipality (case-insensitive)
-      const muniData = tourismData
-        .filter(d => d.Municipality.trim().toLowerCase() === m.trim().toLowerCase())
-        .sort((a, b) => d3.ascending(a.Month, b.Month));
 
-      // Map raw rows into a normalized structure used by the chart
-      datasets.push(
-        muniData.map(d => ({
-          Municipality: m,
-          Month: d.Month,
-          Arrivals: d[keyArr],
-          Overnights: d[keyOver],
-          AverageStay: d[keyArr] ? (d[keyOver] / d[keyArr]) : 0
-        }))
-      );
-    });
-  }
+  /* -------------------------
+     MUNICIPALITY SHAPES
+     ------------------------- */
 
-  // Extract all unique months for x-axis scale and ticks
-  const months = Array.from(new Set(tourismData.map(d => d.Month)))
-    .sort(d3.ascending);
+  mapLayer.selectAll("path.municipality")
+    .data(geo.features)
+    .join("path")
+    .attr("class", "municipality")
+    .attr("d", path)
+    .attr("fill", d => {
+      const value = values.get(d.properties[nameKey]);
+      return value == null ? "#e0e0e0" : choroplethScale(value);
+    })
+    .attr("fill-opacity", 0.8)
 
-  // Remove first month for consistency with datasets
-  months.shift();
+    // Selected municipalities are outlined with their chart color
+    .attr("stroke", d => {
+      const name = d.properties[nameKey];
+      return activeMunicipalities.has(name) ? colorScale(name) : "#333";
+    })
+    .attr("stroke-width", d =>
+      activeMunicipalities.has(d.properties[nameKey]) ? 4 : 1
+    )
+    .style("cursor", "pointer")
 
-  // Use every 12th month as a year tick (e.g. January)
-  const yearTicks = months.filter((d, i) => i % 12 === 0);
+    // Keyboard and screen-reader access
+    .attr("tabindex", 0)
+    .attr("role", "button")
+    .attr("aria-pressed", d => activeMunicipalities.has(d.properties[nameKey]))
+    .attr("aria-label", d => {
+      const value = values.get(d.properties[nameKey]);
+      return `${d.properties[nameKey]}, ${mapMetrics[metric].label}: ${
+        value == null ? "n/a" : mapMetrics[metric].format(value)
+      }`;
+    })
 
-  // Extract unique years from month strings (format: YYYYMx)
-  const years = Array.from(
-    new Set(months.map(d => +d.split("M")[0]))
-  );
+    // Toggle municipality on click, Enter or Space
+    .on("click", (event, d) => toggleMunicipality(d.properties[nameKey]))
+    .on("keydown", (event, d) => {
+      if (!isActivationKey(event)) return;
+      event.preventDefault();
 
-  // Container for bed-capacity datasets
-  let bedDatasets = [];
+      toggleMunicipality(d.properties[nameKey]);
+      event.currentTarget.focus(); // raised shapes lose focus
+    })
 
-  // CASE 1: No municipality selected → sum beds across all municipalities per year
-  if (selected.length === 0) {
-    const yearlySum = years.map(y => {
-      const rows = bedsData.filter(d => d.Year === y);
-      return {
-        Municipality: "All Municipalities Combined",
-        Year: y,
-        Beds: d3.sum(rows, r => r.Beds)
-      };
-    });
+    // Highlight municipality and show its hover card
+    .on("mouseenter", (event, d) => {
+      const name = d.properties[nameKey];
+      const value = values.get(name);
 
-    bedDatasets.push(yearlySum);
+      d3.select(event.currentTarget)
+        .attr("fill-opacity", 1);
 
-  // CASE 2: Municipality selection → keep bed data separate per municipality
-  } else {
-    selected.forEach(m => {
+      showMunicipalityCard(event, name, `${mapMetrics[metric].label}: ${
+        value == null ? "n/a" : mapMetrics[metric].format(value)
+      }`);
+    })
+
+    .on("mouseleave", (event) => {
+      d3.select(event.currentTarget)
+        .attr("fill-opacity", 0.8);
+
+      tooltip.style("display", "none");
+    })
+
+    // Keyboard focus shows the same card next to the shape
+    .on("focus", (event, d) => {
+      const name = d.properties[nameKey];
+      const value = values.get(name);
+
+      showMunicipalityCard(focusPosition(event.currentTarget), name, `${mapMetrics[metric].label}: ${
+        value == null ? "n/a" : mapMetrics[metric].format(value)
+      }`);
+    })
+    .on("blur", () => tooltip.style("display", "none"));
+
+  // Keep selection outlines above neighboring municipalities
+  mapLayer.selectAll("path.municipality")
+    .filter(d => activeMunicipalities.has(d.properties[nameKey]))
+    .raise();
+
+
+  /* -------------------------
+     MUNICIPALITY LABELS
+     ------------------------- */
+
+  geo.features.forEach(d => {
+    const centroid = path.centroid(d);
+    const name = d.properties[nameKey];
+
+    // Hidden from screen readers: the shape is the accessible control
+    const labelGroup = mapLayer.append("g")
+      .datum(d)
+      .attr("class", "label")
+      .attr("transform", `translate(${centroid[0]}, ${centroid[1]})`)
+      .attr("aria-hidden", "true")
+      .style("cursor", "pointer");
+
+    const textEl = labelGroup.append("text")
+      .attr("text-anchor", "middle")
+      .attr("dy", "0.35em")
+      .attr("font-size", "12px")
+      .attr("font-family", "Aptos, sans-serif")
+      .attr("fill", "black")
+      .text(name);
+
+    // Background rectangle for text readability
+    const bbox = textEl.node().getBBox();
+    labelGroup.insert("rect", "text")
+      .attr("x", bbox.x - 4)
+      .attr("y", bbox.y - 3)
+      .attr("width", bbox.width + 8)
+      .attr("height", bbox.height + 6)
+      .attr("fill", "#ffffffc6")
+      .style("pointer-events", "none");
+
+    // Toggle municipality by clicking the label
+    labelGroup.on("click", () => toggleMunicipality(name));
+  });
+
+
+  /* -------------------------
+     WEATHER STATIONS
+     ------------------------- */
+
+  // Remove existing station nodes
+  mapLayer.selectAll(".weather-station").remove();
+
+  const stationNodes = mapLayer.selectAll(".weather-station")
+    .data(weatherStations)
+    .join("circle")
+    .attr("class", "weather-station")
+    .attr("cx", d => projection(d.coords)[0])
+    .attr("cy", d => projection(d.coords)[1])
+    .attr("r", d => isStationSelected(d) ? 6 : 4)
+    .attr("fill", stationFill)
+    .attr("stroke", "black")
+    .attr("stroke-width", 1)
+    .style("cursor", "pointer")
+
+    // Keyboard and screen-reader access
+    .attr("tabindex", 0)
+    .attr("role", "button")
+    .attr("aria-pressed", isStationSelected)
+    .attr("aria-label", d =>
+      `Weather station ${stationLabel(d)} (Enter to show, Shift+Enter to compare)`
+    );
+
+  // Hover interaction + tooltip
+  stationNodes
+    .on("mouseenter", function (event, d) {
+      if (!isStationSelected(d)) {
+        d3.select(this).attr("r", 6);
+      }
+
+      showStationCard(event, d);
+    })
+
+    .on("mouseleave", function (event, d) {
+      if (!isStationSelected(d)) {
+        d3.select(this).attr("r", 4);
+      }
+      hoveredStationId = null;
+      tooltip.style("display", "none");
+    })
+
+    // Keyboard focus shows the same card next to the station
+    .on("focus", (event, d) => showStationCard(focusPosition(event.currentTarget), d))
+    .on("blur", () => {
+      hoveredStationId = null;
+      tooltip.style("display", "none");
+    })
+
+    // Click interaction: activate / deactivate station
+    // (Shift/Ctrl-click adds or removes a station to compare)
+    .on("click", toggleWeatherStation)
+
+    // Enter or Space acts like a click (with Shift to compare)
+    .on("keydown", (event, d) => {
+      if (!isActivationKey(event)) return;
+      event.preventDefault();
+      toggleWeatherStation(event, d);
+    });
+
+
+  /* -------------------------
+     SUGGESTED WEATHER SERIES
+     ------------------------- */
+
+  updateStationSuggestion();
+}
+
+
+// Select or deselect a municipality and refresh the coordinated views
+// (municipalities without tourism rows cannot be selected)
+function toggleMunicipality(name) {
+  if (activeMunicipalities.has(name)) {
+    activeMunicipalities.delete(name);
+  } else if (hasTourismRows(name)) {
+    activeMunicipalities.add(name);
+  } else {
+    return;
+  }
+
+  updateMap(municipalityGeo, municipalityNameKey);
+  updateLineChart();
+  pushUrlState();
+}
+
+
+/**
+ * Activate, deactivate or compare a weather station
+ * (Shift/Ctrl/Cmd adds or removes the station to compare)
+ * @param {MouseEvent|KeyboardEvent} event - Click or key press on the station
+ * @param {Object} d - Entry of weatherStations
+ */
+async function toggleWeatherStation(event, d) {
+  const compare = event.shiftKey || event.ctrlKey || event.metaKey;
+
+  if (compare && activeWeatherStation && activeWeatherStation.id !== d.id) {
+    if (comparedWeatherStations.some(c => c.station.id === d.id)) {
+      removeComparedStation(d);
+    } else {
+      await addComparedStation(d);
+    }
+  } else if (activeWeatherStation?.id === d.id) {
+    // Deactivate station if already selected
+    deactivateWeatherStation();
+  } else {
+    comparedWeatherStations = [];
+    await activateWeatherStation(d);
+  }
+
+  hoveredStationId = null;
+  tooltip.style("display", "none");
+  pushUrlState();
+}
+
+
+/* =========================================================
+   MAP HOVER CARDS
+   ========================================================= */
+
+// Size of the sparklines in hover cards
+const sparklineWidth  = 180;
+const sparklineHeight = 36;
+
+// Station data loaded for hover cards (station id → Promise of rows)
+const hoverCardData = new Map();
+
+// Station whose card is shown (async loads for other stations are dropped)
+let hoveredStationId = null;
+
+
+/**
+ * Draw a sparkline of monthly values into a hover card
+ * @param {d3.Selection} container - Card element to append to
+ * @param {Array<{Month: string, value: number}>} points - Values by month
+ * @param {Array<number>} domain - Y-domain of the sparkline
+ * @param {string} color - Line color
+ */
+function drawSparkline(container, points, domain, color) {
+  const x = d3.scalePoint()
+    .domain(points.map(d => d.Month))
+    .range([2, sparklineWidth - 2]);
+
+  const y = d3.scaleLinear()
+    .domain(domain)
+    .range([sparklineHeight - 2, 2]);
+
+  const spark = container.append("svg")
+    .attr("class", "sparkline")
+    .attr("width", sparklineWidth)
+    .attr("height", sparklineHeight);
+
+  spark.append("path")
+    .datum(points)
+    .attr("fill", "none")
+    .attr("stroke", color)
+    .attr("stroke-width", 1.5)
+    .attr("d", d3.line().x(d => x(d.Month)).y(d => y(d.value)));
+
+  // Mark the last month of the period
+  const last = points[points.length - 1];
+  spark.append("circle")
+    .attr("cx", x(last.Month))
+    .attr("cy", y(last.value))
+    .attr("r", 2)
+    .attr("fill", color);
+}
+
+
+// Show the map tooltip next to the pointer with the given content
+function showHoverCard(event, html) {
+  return tooltip
+    .style("display", "block")
+    .style("left", `${event.pageX + 10}px`)
+    .style("top", `${event.pageY - 10}px`)
+    .html(html);
+}
+
+
+/**
+ * Hover card of a municipality: its area, latest beds, totals of the
+ * brushed period and a sparkline of monthly arrivals
+ * @param {MouseEvent} event - Pointer event positioning the card
+ * @param {string} name - Municipality name
+ * @param {string} metricLine - Value of the map metric (first card line)
+ */
+function showMunicipalityCard(event, name, metricLine) {
+  const country = d3.select("#metric").property("value");
+  const months  = activeMonths();
+  const format  = d3.format(",.0f");
+
+  const area = municipalityArea(name);
+  const bedYear = Array.from(new Set(bedsData.map(d => d.Year)))
+    .sort(d3.descending)
+    .find(y => totalBeds([name], y) != null);
+
+  const arrivals   = municipalityMetricValue(name, "arrivals", country, months);
+  const overnights = municipalityMetricValue(name, "overnights", country, months);
+  const scope = country === "All" ? "" : ` (${escapeHtml(country)})`;
+
+  const card = showHoverCard(event, `
+    <strong>${escapeHtml(name)}</strong><br>
+    ${metricLine}<br>
+    Area: ${area == null ? "n/a" : `${d3.format(",.1f")(area)} km²`}<br>
+    Beds${bedYear ? ` (${bedYear})` : ""}: ${bedYear ? format(totalBeds([name], bedYear)) : "n/a"}
+    <hr>
+    <em>${formatPeriod(months)}</em><br>
+    Arrivals${scope}: ${format(arrivals)}<br>
+    Overnights${scope}: ${format(overnights)}
+  `);
+
+  // Monthly arrivals of the brushed period
+  const monthSet = new Set(months);
+  const points = tourismData
+    .filter(d =>
+      municipalityKey(d.Municipality) === municipalityKey(name) &&
+      monthSet.has(d.Month)
+    )
+    .map(d => ({ Month: d.Month, value: d[`${country} (Arrivals)`] }))
+    .sort((a, b) => d3.ascending(a.Month, b.Month));
+
+  if (points.length > 1) {
+    drawSparkline(card, points, [0, d3.max(points, d => d.value) || 1], colorScale(name));
+  }
+}
+
+
+// Weather rows of a station for its hover card (loaded data is reused)
+function stationCardData(station) {
+  if (activeWeatherStation?.id === station.id) return Promise.resolve(activeWeatherData);
+
+  const compared = comparedWeatherStations.find(c => c.station.id === station.id);
+  if (compared) return Promise.resolve(compared.data);
+
+  if (!hoverCardData.has(station.id)) {
+    hoverCardData.set(station.id, loadWeatherCSV(station));
+  }
+  return hoverCardData.get(station.id);
+}
+
+
+/**
+ * Hover card of a weather station: its altitude and a sparkline of the
+ * selected weather attribute (or the station's first attribute) over the
+ * brushed period
+ * @param {MouseEvent} event - Pointer event positioning the card
+ * @param {Object} station - Entry of weatherStations
+ */
+async function showStationCard(event, station) {
+  hoveredStationId = station.id;
+
+  const header = `<strong>${escapeHtml(station.name)}</strong><br>Altitude: ${escapeHtml(station.altitude)} m`;
+  showHoverCard(event, `${header}<br><em>Loading weather data…</em>`);
+
+  const data = await stationCardData(station);
+  if (hoveredStationId !== station.id) return;
+
+  if (!data || data.length === 0) {
+    showHoverCard(event, `${header}<br><em>No weather data</em>`);
+    return;
+  }
+
+  // Selected attribute if the station measures it, else its first one
+  const attributes = Object.keys(data[0]).filter(k => typeof data[0][k] === "number");
+  const attr = attributes.includes(activeWeatherAttribute)
+    ? activeWeatherAttribute
+    : attributes[0];
+
+  const months = activeMonths();
+  const monthSet = new Set(months);
+  const points = data
+    .filter(d => monthSet.has(d.Month) && typeof d[attr] === "number")
+    .map(d => ({ Month: d.Month, value: d[attr] }));
+
+  const card = showHoverCard(event, `
+    ${header}
+    <hr>
+    <em>${formatPeriod(months)}</em><br>
+    ${escapeHtml(weatherAttributeLabel(attr))}${
+      points.length ? `, mean ${escapeHtml(formatWeatherValue(d3.mean(points, d => d.value), attr))}` : ": n/a"
+    }
+  `);
+
+  if (points.length > 1) {
+    const domain = weatherDomain(points.map(d => d.value), weatherEncoding(attr));
+    drawSparkline(card, points, domain, "rgba(0, 140, 255, 0.9)");
+  }
+}
+
+
+/* =========================================================
+   WEATHER STATION SELECTION
+   ========================================================= */
+
+// Whether a station is selected, compared or a source of the interpolated one
+function isStationSelected(station) {
+  return activeWeatherStation?.id === station.id ||
+    activeWeatherStation?.sources?.includes(station.id) ||
+    comparedWeatherStations.some(c => c.station.id === station.id);
+}
+
+
+// Map fill of a station (series color while comparing stations)
+function stationFill(station) {
+  if (!isStationSelected(station)) return "white";
+  return comparedWeatherStations.length > 0 ? stationColor(station.id) : "black";
+}
+
+
+// Highlight the active weather station on the map
+function styleWeatherStations() {
+  mapLayer.selectAll(".weather-station")
+    .attr("r", s => isStationSelected(s) ? 6 : 4)
+    .attr("fill", stationFill)
+    .attr("aria-pressed", isStationSelected);
+
+  d3.select("#weather-compare-style")
+    .style("display", comparedWeatherStations.length > 0 ? "inline-block" : "none");
+}
+
+
+/**
+ * Activate a weather station and overlay its data on the chart
+ * (a station whose data cannot be loaded leaves the active one unchanged)
+ * @param {Object} station - Entry of weatherStations
+ * @param {string|null} attr - Attribute to show (defaults to the first one)
+ * @param {Array<Object>|null} data - Already loaded (e.g. interpolated) data
+ */
+async function activateWeatherStation(station, attr = null, data = null) {
+
+  // Load station CSV data
+  const weatherData = data ?? await loadWeatherCSV(station);
+  if (!weatherData) return;
+
+  // Force-enable weather toggle
+  d3.select("#toggle-weather").property("checked", true);
+  showWeather = true;
+
+  activeWeatherStation = station;
+  styleWeatherStations();
+
+  // Populate attribute dropdown
+  populateWeatherDropdown(weatherData);
+
+  // Draw requested attribute, falling back to the default one
+  const activeAttr = weatherAttributes.includes(attr) ? attr : weatherAttributes[0];
+  d3.select("#weather-attr-select").property("value", activeAttr);
+  drawWeatherHistogram(weatherData, activeAttr);
+
+  activeWeatherData      = weatherData;
+  activeWeatherAttribute = activeAttr;
+
+  // Correlation, anomaly and panel views are built from the station data
+  if (weatherViews.includes(chartMode)) updateLineChart();
+}
+
+
+/**
+ * Load a further station and compare it with the active one
+ * @param {Object} station - Entry of weatherStations
+ */
+async function addComparedStation(station) {
+  const data = await loadWeatherCSV(station);
+  if (!data) return;
+
+  comparedWeatherStations.push({ station, data });
+  styleWeatherStations();
+  updateLineChart();
+}
+
+
+// Stop comparing a station
+function removeComparedStation(station) {
+  comparedWeatherStations = comparedWeatherStations
+    .filter(c => c.station.id !== station.id);
+
+  styleWeatherStations();
+  updateLineChart();
+}
+
+
+// Deactivate the weather station and remove its overlay
+function deactivateWeatherStation() {
+  activeWeatherStation    = null;
+  activeWeatherData       = null;
+  activeWeatherAttribute  = null;
+  comparedWeatherStations = [];
+
+  styleWeatherStations();
+
+  chartG.selectAll(".weather-hist").remove();
+  chartG.selectAll(".weather-y-axis").remove();
+  chartG.selectAll(".weather-y-label").remove();
+  chartG.selectAll(".weather-mean").remove();
+  chartG.selectAll(".weather-legend").remove();
+
+  if (weatherViews.includes(chartMode)) updateLineChart();
+
+  d3.select("#weather-attr-select").style("display", "none");
+  d3.select("#weather-attr-select-label").style("display", "none");
+  showWeatherFormula(null);
+  d3.select("#label-weather").style("display", "none");
+}
+
+
+/* =========================================================
+   WEATHER STATION ASSIGNMENT (PER MUNICIPALITY)
+   ========================================================= */
+
+// Number of nearest stations used for interpolation
+const interpolationStationCount = 3;
+
+// Ways to derive a municipality's weather series (value → label)
+const stationMethods = {
+  nearest:     "Station inside / nearest",
+  idw:         "Interpolated (inverse distance)",
+  idwAltitude: "Interpolated, altitude-weighted"
+};
+
+// Candidate stations per municipality (inside first, then by distance)
+let stationAssignments = new Map();
+
+
+/**
+ * Rank the weather stations for every municipality: stations inside
+ * the polygon come first, the rest by distance to its centroid
+ * @param {Object} geo - Municipality GeoJSON
+ * @param {string} nameKey - Municipality name property
+ */
+function assignWeatherStations(geo, nameKey) {
+  stationAssignments = new Map(geo.features.map(feature => {
+    const center = d3.geoCentroid(feature);
+
+    const candidates = weatherStations
+      .map(station => ({
+        station,
+        inside: d3.geoContains(feature, station.coords),
+        distance: d3.geoDistance(center, station.coords) * 6371 // km
+      }))
+      .sort((a, b) => (b.inside - a.inside) || (a.distance - b.distance));
+
+    return [feature.properties[nameKey], candidates];
+  }));
+}
+
+
+/**
+ * Stations and weights representing a municipality
+ * @param {string} name - Municipality name
+ * @param {string} method - Key of stationMethods
+ * @returns {Array<{station: Object, inside: boolean, distance: number, weight: number}>}
+ */
+function stationWeights(name, method) {
+  const candidates = stationAssignments.get(name) ?? [];
+
+  if (method === "nearest") {
+    return candidates.slice(0, 1).map(c => ({ ...c, weight: 1 }));
+  }
+
+  const nearest = candidates.slice(0, interpolationStationCount);
+  const lowest = d3.min(nearest, c => c.station.altitude);
+
+  const weighted = nearest.map(c => {
+    let weight = 1 / Math.max(c.distance, 1) ** 2;
+
+    // Accommodation lies mostly on the valley floor, so stations high
+    // above the lowest candidate count less (halved per 300 m)
+    if (method === "idwAltitude") {
+      weight /= 1 + (c.station.altitude - lowest) / 300;
+    }
+
+    return { ...c, weight };
+  });
+
+  const total = d3.sum(weighted, c => c.weight);
+  return weighted.map(c => ({ ...c, weight: c.weight / total }));
+}
+
+
+/**
+ * Build a virtual station interpolated from the nearest stations
+ * (months missing at a station are averaged over the others)
+ * @param {string} name - Municipality name
+ * @param {string} method - "idw" or "idwAltitude"
+ * @returns {Promise<{station: Object, data: Array<Object>}|null>}
+ */
+async function interpolatedWeatherStation(name, method) {
+  const weights = stationWeights(name, method);
+  if (weights.length === 0) return null;
+
+  const loaded = await Promise.all(weights.map(w => loadWeatherCSV(w.station)));
+  const sources = weights
+    .map((w, i) => ({ ...w, byMonth: new Map((loaded[i] ?? []).map(d => [d.Month, d])) }))
+    .filter(s => s.byMonth.size > 0);
+
+  const months = Array.from(new Set(sources.flatMap(s => Array.from(s.byMonth.keys()))))
+    .filter(Boolean)
+    .sort(d3.ascending);
+
+  const attributes = Array.from(new Set(
+    loaded.flatMap(rows => rows?.length
+      ? Object.keys(rows[0]).filter(k => typeof rows[0][k] === "number")
+      : [])
+  ));
+
+  const data = months.map(m => {
+    const row = { Month: m };
+
+    attributes.forEach(attr => {
+      const values = sources
+        .map(s => ({ weight: s.weight, value: s.byMonth.get(m)?.[attr] }))
+        .filter(v => typeof v.value === "number");
+
+      const total = d3.sum(values, v => v.weight);
+      row[attr] = total ? d3.sum(values, v => v.value * v.weight) / total : null;
+    });
+
+    return row;
+  });
+
+  const station = {
+    id: `interpolated:${method}:${name}`,
+    name: `${name} (interpolated)`,
+    altitude: Math.round(d3.sum(sources, s => s.station.altitude * s.weight)),
+    sources: sources.map(s => s.station.id)
+  };
+
+  return { station, data };
+}
+
+
+/**
+ * Resolve a station id from the URL, including interpolated stations
+ * ("interpolated:<method>:<municipality>")
+ * @param {string|null} id - Station id
+ * @returns {Promise<{station: Object, data: Array<Object>|null}|null>}
+ */
+async function resolveWeatherStation(id) {
+  const station = weatherStations.find(s => s.id === id);
+  if (station) return { station, data: null };
+
+  const [kind, method, ...rest] = (id ?? "").split(":");
+  const name = rest.join(":");
+
+  if (kind !== "interpolated" || !(method in stationMethods) || !stationAssignments.has(name)) {
+    return null;
+  }
+
+  return interpolatedWeatherStation(name, method);
+}
+
+
+// Municipality the weather suggestion is made for (last selected one)
+function suggestionMunicipality() {
+  return Array.from(activeMunicipalities).pop() ?? null;
+}
+
+
+/**
+ * Offer the representative weather series of the last selected
+ * municipality and link it to its stations on the map
+ */
+function updateStationSuggestion() {
+  mapLayer.selectAll(".station-link").remove();
+
+  const name = suggestionMunicipality();
+  const method = d3.select("#station-method").property("value");
+
+  // Nothing to suggest without a selection or without weather stations
+  const weights = name ? stationWeights(name, method) : [];
+  d3.select("#station-suggestion").style("display", weights.length > 0 ? null : "none");
+  if (weights.length === 0) return;
+
+  const format = d3.format(".1f");
+
+  let text;
+  if (method === "nearest") {
+    const [c] = weights;
+    text = c.inside
+      ? `${name}: ${stationLabel(c.station)} lies inside the municipality`
+      : `${name}: nearest station ${stationLabel(c.station)}, ${format(c.distance)} km away`;
+  } else {
+    text = `${name}: ` + weights
+      .map(c => `${c.station.name} ${d3.format(".0%")(c.weight)}`)
+      .join(", ");
+  }
+
+  d3.select("#station-suggestion-text").text(text);
+
+
+  /* -------------------------
+     MAP LINKS
+     ------------------------- */
+
+  const feature = municipalityGeo.features
+    .find(f => f.properties[municipalityNameKey] === name);
+
+  mapLayer.selectAll(".station-link")
+    .data(weights.map(d => ({ ...d, feature })))
+    .join("line")
+    .attr("class", "station-link")
+    .attr("stroke", "#333")
+    .attr("stroke-width", d => 1 + 2 * d.weight)
+    .attr("stroke-dasharray", "4,3")
+    .style("pointer-events", "none");
+
+  positionStationLinks();
+
+  // Keep stations clickable above the links
+  mapLayer.selectAll(".weather-station").raise();
+}
+
+
+// Place the suggestion links for the current projection
+// (zooming and panning only move them)
+function positionStationLinks() {
+  mapLayer.selectAll(".station-link")
+    .attr("x1", d => path.centroid(d.feature)[0])
+    .attr("y1", d => path.centroid(d.feature)[1])
+    .attr("x2", d => projection(d.station.coords)[0])
+    .attr("y2", d => projection(d.station.coords)[1]);
+}
+
+
+// Show the suggested weather series of the last selected municipality
+async function applyStationSuggestion() {
+  const name = suggestionMunicipality();
+  if (!name) return;
+
+  const method = d3.select("#station-method").property("value");
+  comparedWeatherStations = [];
+
+  if (method === "nearest") {
+    const [nearest] = stationWeights(name, method);
+    if (nearest) await activateWeatherStation(nearest.station);
+  } else {
+    const interpolated = await interpolatedWeatherStation(name, method);
+    if (interpolated) {
+      await activateWeatherStation(interpolated.station, null, interpolated.data);
+    }
+  }
+
+  pushUrlState();
+}
+
+
+/* =========================================================
+   WEATHER CSV LOADER
+   ========================================================= */
+
+async function loadWeatherCSV(station) {
+
+  // Months are parsed and cells validated by the data layer (see data.js),
+  // then files uploaded for the station are applied
+  const data = applyUploads(await loadCsvData(weatherSource(station)) ?? [], "weather", station.id);
+  if (data.length === 0) return null;
+
+  // Composite indices behave like the measured columns
+  addWeatherIndices(data);
+
+  return data;
+}
+
+
+
+/* =========================================================
+   WEATHER COMPOSITE INDICES
+   ========================================================= */
+
+/**
+ * Rate a value on a piecewise-linear scale
+ * @param {number} value
+ * @param {Array<[number, number]>} points - [value, rating] breakpoints (ascending)
+ * @returns {number} Interpolated rating (clamped to the end points)
+ */
+function rateValue(value, points) {
+  if (value <= points[0][0]) return points[0][1];
+
+  for (let i = 1; i < points.length; i++) {
+    const [x0, r0] = points[i - 1];
+    const [x1, r1] = points[i];
+    if (value <= x1) return r0 + (r1 - r0) * (value - x0) / (x1 - x0);
+  }
+
+  return points[points.length - 1][1];
+}
+
+
+// Component ratings (0–5) of the tourism climate score, weighted like
+// the Tourism Climate Index: comfort ×4, precipitation ×2, sunshine ×2, wind ×1
+const climateScoreComponents = [
+  {
+    label: "Comfort",
+    column: "Average Temperature [°C]",
+    weight: 4,
+    points: [[0, 0], [10, 2], [20, 5], [27, 5], [37, 0]]
+  },
+  {
+    label: "Precipitation",
+    column: "Precipitation Amount [mm]",
+    weight: 2,
+    points: [[0, 5], [150, 0]]
+  },
+  {
+    label: "Sunshine",
+    column: "Sunshine Duration [h]",
+    weight: 2,
+    points: [[0, 0], [300, 5]]
+  },
+  {
+    label: "Wind",
+    column: "Average Wind Speed [m/s]",
+    weight: 1,
+    points: [[2.5, 5], [8, 0]]
+  }
+];
+
+
+// Readable formula of the tourism climate score
+function climateScoreFormula() {
+  const weights = climateScoreComponents.map(c => `${c.weight}·${c.label}`).join(" + ");
+  const total = d3.sum(climateScoreComponents, c => c.weight);
+  const ratings = climateScoreComponents
+    .map(c => `${c.label}: ${c.column} rated ` +
+      c.points.map(([x, r]) => `${r} at ${x}`).join(", "))
+    .join("; ");
+
+  return `Score = 20 × (${weights}) / ${total}, each component rated 0–5 ` +
+    `(linear between the points). ${ratings}.`;
+}
+
+
+// Composite indices computed from the station columns (attribute → definition)
+const weatherIndices = {
+  "Tourism Climate Score [points]": {
+    columns: climateScoreComponents.map(c => c.column),
+    encoding: "line",
+    formula: climateScoreFormula,
+    compute: row => 20 *
+      d3.sum(climateScoreComponents, c => c.weight * rateValue(row[c.column], c.points)) /
+      d3.sum(climateScoreComponents, c => c.weight)
+  },
+
+  "Outdoor-Friendly Days": {
+    encoding: "bars",
+    columns: ["Number of Days With Precipitation >1 mm", "Number of Hot Days"],
+    formula: () =>
+      "Days in month − days with precipitation >1 mm − hot days (max. ≥30 °C); " +
+      "a lower bound, as a day can be both wet and hot (clamped at 0).",
+    compute: row => Math.max(
+      0,
+      daysInMonth(row.Month) -
+        row["Number of Days With Precipitation >1 mm"] -
+        row["Number of Hot Days"]
+    )
+  }
+};
+
+
+/**
+ * Add the composite indices a station's columns allow to its rows
+ * @param {Array<Object>} data - Rows of the station CSV (numbers converted)
+ */
+function addWeatherIndices(data) {
+  const columns = Object.keys(data[0] ?? {});
+
+  Object.entries(weatherIndices).forEach(([key, index]) => {
+    if (!index.columns.every(c => columns.includes(c))) return;
+
+    data.forEach(row => {
+      const complete = row.Month &&
+        index.columns.every(c => typeof row[c] === "number");
+      row[key] = complete ? +index.compute(row).toFixed(1) : null;
+    });
+  });
+}
+
+
+// Show the formula below the weather picker when an index is selected
+function showWeatherFormula(attrKey) {
+  const index = weatherIndices[attrKey];
+
+  d3.select("#weather-formula")
+    .style("display", index ? null : "none")
+    .text(index ? `${attrKey}: ${index.formula()}` : "");
+}
+
+
+/* =========================================================
+   WEATHER ATTRIBUTE SELECTION
+   ========================================================= */
+
+// List of numeric weather attributes available in the dataset
+let weatherAttributes = [];
+
+// Picker categories in display order (first match wins) and how their
+// attributes are drawn: levels as lines, counts and sums as bars
+const weatherCategories = [
+  { label: "Temperature",                test: k => /Temperature \[/.test(k),             encoding: "line" },
+  { label: "Precipitation",              test: k => /^(?!Number of).*Precipitation/.test(k), encoding: "bars" },
+  { label: "Snow",                       test: k => /Snow/.test(k),                       encoding: "bars" },
+  { label: "Wind",                       test: k => /Wind Speed/.test(k),                 encoding: "line" },
+  { label: "Sunshine",                   test: k => /Sunshine/.test(k),                   encoding: "bars" },
+  { label: "Humidity, clouds & pressure", test: k => /Humidity|Cloudiness|Pressure/.test(k), encoding: "line" },
+  { label: "Day counts",                 test: k => /^Number of/.test(k),                 encoding: "bars" },
+  { label: "Composite indices",          test: k => k in weatherIndices,                  encoding: null },
+  { label: "Other",                      test: () => true,                                encoding: "bars" }
+];
+
+
+// Category of a weather attribute
+function weatherCategory(attrKey) {
+  return weatherCategories.find(c => c.test(attrKey));
+}
+
+
+// Chart encoding of a weather attribute ("line" or "bars")
+function weatherEncoding(attrKey) {
+  return weatherCategory(attrKey).encoding ?? weatherIndices[attrKey]?.encoding ?? "bars";
+}
+
+
+// Unit of a weather attribute from its header ("Precipitation Amount [mm]" → "mm")
+function weatherUnit(attrKey) {
+  const match = /\[(.+)\]\s*$/.exec(attrKey);
+  if (match) return match[1];
+
+  return /^Number of|Days$/.test(attrKey) ? "days" : "";
+}
+
+
+// Attribute name without its unit brackets
+function weatherAttributeName(attrKey) {
+  return attrKey.replace(/\s*\[.+\]\s*$/, "");
+}
+
+
+// Attribute label for axes and legends ("Average Temperature (°C)")
+function weatherAttributeLabel(attrKey) {
+  const unit = weatherUnit(attrKey);
+  return unit
+    ? `${weatherAttributeName(attrKey)} (${unit})`
+    : weatherAttributeName(attrKey);
+}
+
+
+// Value with its unit ("23.1 °C")
+function formatWeatherValue(value, attrKey) {
+  const unit = weatherUnit(attrKey);
+  return `${d3.format(",.1~f")(value)}${unit ? ` ${unit}` : ""}`;
+}
+
+
+/**
+ * Y-domain of a weather series: bars keep zero as their baseline
+ * (negative values extend below it), lines span the data with padding
+ * @param {Array<number>} values
+ * @param {string} encoding - "line" or "bars"
+ * @returns {[number, number]}
+ */
+function weatherDomain(values, encoding) {
+  const [lo, hi] = d3.extent(values.filter(v => typeof v === "number"));
+  if (lo === undefined) return [0, 1];
+
+  if (encoding === "bars") {
+    return [Math.min(0, lo) * 1.15, Math.max(0, hi) * 1.15 || 1];
+  }
+
+  const padding = (hi - lo) * 0.1 || 1;
+  return [lo - padding, hi + padding];
+}
+
+
+
+
+/**
+ * Populate the weather attribute dropdown
+ * @param {Array<Object>} weatherData - Parsed CSV data for a weather station
+ */
+function populateWeatherDropdown(weatherData) {
+
+  // Extract numeric columns (and available indices) from the first row
+  const numericKeys = Object.keys(weatherData[0]).filter(
+    k => typeof weatherData[0][k] === "number" || k in weatherIndices
+  );
+
+  // Store available attributes globally
+  weatherAttributes = numericKeys;
+
+
+  /* -------------------------
+     DROPDOWN LABEL
+     ------------------------- */
+
+  const label = d3.select("#weather-attr-select-label");
+  label.style("display", "inline-block");
+
+
+  /* -------------------------
+     DROPDOWN SELECT
+     ------------------------- */
+
+  const sel = d3.select("#weather-attr-select");
+  sel.style("display", "inline-block");
+
+  // Remove existing options
+  sel.selectAll("option").remove();
+
+  sel.selectAll("optgroup").remove();
+
+  // One group per category (empty categories are skipped)
+  const groups = weatherCategories
+    .map(c => ({ label: c.label, items: numericKeys.filter(k => weatherCategory(k) === c) }))
+    .filter(g => g.items.length > 0);
+
+  sel.selectAll("optgroup")
+    .data(groups)
+    .join("optgroup")
+    .attr("label", g => g.label)
+    .selectAll("option")
+    .data(g => g.items)
+    .join("option")
+    .attr("value", d => d)
+    .text(weatherAttributeLabel);
+
+  // Redraw histogram when attribute changes
+  sel.on("change", () => {
+    const attr = sel.property("value");
+    activeWeatherAttribute = attr;
+    drawWeatherHistogram(weatherData, attr);
+    if (weatherViews.includes(chartMode)) updateLineChart();
+    pushUrlState();
+  });
+
+
+  /* -------------------------
+     SECONDARY WEATHER LABEL
+     ------------------------- */
+
+  const label2 = d3.select("#label-weather");
+  label2.style("display", "inline-block");
+}
+
+
+/* =========================================================
+   WEATHER HISTOGRAM (DISTRIBUTION)
+   ========================================================= */
+
+/**
+ * Update the histogram showing value distribution
+ * of the currently selected weather attribute
+ */
+function updateWeatherHistogram() {
+
+  // Remove previous histogram
+  chartG.selectAll(".weather-hist").remove();
+
+  // Abort if no active weather state
+  if (!activeWeatherData || !activeWeatherAttribute) return;
+
+  /* -------------------------
+     DATA PREPARATION
+     ------------------------- */
+
+  // Extract numeric values and filter invalid entries
+  const data = activeWeatherData
+    .map(d => +d[activeWeatherAttribute])
+    .filter(v => !isNaN(v));
+
+
+  /* -------------------------
+     SCALES
+     ------------------------- */
+
+  // X-scale for value range
+  const x = d3.scaleLinear()
+    .domain([d3.min(data), d3.max(data)])
+    .range([0, innerWidth]);
+
+  // Create histogram bins
+  const bins = d3.bin()
+    .thresholds(12)(data);
+
+  // Y-scale for bin counts
+  const y = d3.scaleLinear()
+    .domain([0, d3.max(bins, b => b.length)])
+    .range([innerHeight, 0]);
+
+
+  /* -------------------------
+     HISTOGRAM BARS
+     ------------------------- */
+
+  const histLayer = chartG
+    .insert("g", ":first-child")
+    .attr("class", "weather-hist");
+
+  histLayer.selectAll("rect")
+    .data(bins)
+    .join("rect")
+    .attr("x", d => x(d.x0))
+    .attr("y", d => y(d.length))
+    .attr("width", d => Math.max(0, x(d.x1) - x(d.x0) - 1))
+    .attr("height", d => innerHeight - y(d.length))
+    .attr("fill", "rgba(0, 123, 255, 0.25)");
+}
+
+
+/* =========================================================
+   CHART SVG & LAYOUT
+   ========================================================= */
+
+// Create SVG container for the chart
+const chartSvg = d3.select("#chart")
+  .append("svg")
+  .attr("width", chartWidth)
+  .attr("height", chartHeight);
+
+// Margins for the chart area
+let margin = {
+  top: 30,
+  right: 190,
+  bottom: 140, // x-axis, its label and the time overview strip
+  left: 100
+};
+
+// Inner chart dimensions
+const innerWidth  = chartWidth  - margin.left - margin.right;
+const innerHeight = chartHeight - margin.top  - margin.bottom;
+
+// Main chart group
+const chartG = chartSvg.append("g")
+  .attr("transform", `translate(${margin.left}, ${margin.top})`);
+
+
+/* =========================================================
+   SCALES
+   ========================================================= */
+
+// X-scale for categorical months
+const xScale = d3.scaleBand()
+  .padding(0.2);
+
+// Y-scale for tourism metrics
+const yScale = d3.scaleLinear();
+
+// Y-scale for average stays (secondary axis)
+const yAvgScale = d3.scaleLinear()
+  .range([innerHeight, 0]);
+
+// Y-scale for capacity metrics (occupancy, per bed, per km²)
+const yCapScale = d3.scaleLinear()
+  .range([innerHeight, 0]);
+
+// Capacity series selectable on the timeline (dataset field → label)
+const capacityMetrics = {
+  OccupancyRate:    "Bed occupancy rate (%)",
+  OvernightsPerBed: "Overnights per bed (yearly)",
+  ArrivalsPerKm2:   "Arrivals per km²"
+};
+
+// Y-scale for weather values
+const weatherY = d3.scaleLinear()
+  .range([innerHeight, 0]);
+
+
+/* =========================================================
+   CHART TOOLTIP
+   ========================================================= */
+
+// Tooltip used inside the chart area
+const chartTooltip = d3.select("body")
+  .append("div")
+  .attr("class", "tooltip")
+  .style("display", "none");
+
+
+/* =========================================================
+   BACKGROUND INTERACTION LAYER
+   ========================================================= */
+
+// Transparent rectangle to capture clicks and clear interactions
+chartG.append("rect")
+  .attr("class", "bg-rect")
+  .attr("width", innerWidth)
+  .attr("height", innerHeight)
+  .attr("fill", "transparent")
+  .style("pointer-events", "all")
+  .on("click", () => {
+    chartTooltip.style("display", "none");
+    setTimeRange(null);
+  });
+
+
+/* =========================================================
+   UTILITY FUNCTIONS
+   ========================================================= */
+
+/**
+ * Get the pixel center of a month band
+ * @param {string} m - Month key
+ * @param {d3.ScaleBand} xScale - Band scale for months
+ * @returns {number} X coordinate of the band center
+ */
+function monthCenterPx(m, xScale) {
+  return xScale(m) + xScale.bandwidth() / 2;
+}
+
+
+/**
+ * Redraw the chart and its data table alternative
+ * The chart data, the summary panel and the time overview are shared by
+ * all views; the selected view is then drawn by its own function.
+ * (keyboard focus stays on the chart control that had it)
+ */
+function updateLineChart() {
+  const focusKey = document.activeElement?.getAttribute?.("data-focus-key");
+  const options  = readChartControls();
+
+  // Hide tooltip whenever the chart is redrawn
+  chartTooltip.style("display", "none");
+
+  // Remove all existing chart elements except the background rectangle
+  // (the weather overlay is redrawn once the x-scale is zoomed)
+  chartG
+    .selectAll("*:not(.bg-rect)")
+    .remove();
+
+  const chart = buildChartData(options.country);
+
+  if (chart) {
+    d3.select("#chart-summary").html(
+      generateSummaryHTML(
+        chart.summaries,
+        formatPeriod(chart.rangeMonths),
+        {
+          showArrivals,
+          showOvernights,
+          showAverageStays,
+          showBeds
+        }
+      )
+    );
+
+    // Context strip holding the brush (shared by all views)
+    drawOverview(chart.datasets, chart.months);
+
+    // Views that plot their own table return it (used by the data export)
+    const drawView = chartViews[chartMode] ?? chartViews.timeline;
+    plottedData.viewTable = drawView(chart, options);
+  }
+
+  updateChartTable();
+
+  if (focusKey) {
+    chartG.select(`[data-focus-key="${focusKey}"]`).node()?.focus();
+  }
+}
+
+
+// Draw function of each chart view (value of #chart-mode)
+const chartViews = {
+  timeline:       chart => drawTimelineChart(chart),
+  panels:         chart => drawLinkedPanels(chart.focusData, chart.focusMonths, chart.bedDatasets),
+  municipalities: (chart, o) => drawMunicipalityGrid(
+    // One panel per selected municipality (every municipality when none is selected)
+    chart.selected.length > 0 ? chart.selected : allMunicipalityNames(),
+    chart.country, chart.focusMonths, viewMetric, o.gridScale, o.gridIndexBase
+  ),
+  seasonal:       chart => drawSeasonalChart(chart.datasets, viewMetric),
+  yoy:            chart => drawYoyChart(chart.datasets, chart.focusMonths, viewMetric),
+  anomalies:      chart => drawAnomalyChart(chart.datasets, chart.focusMonths, viewMetric),
+  markets:        (chart, o) => drawMarketMixChart(chart.focusMonths, o.marketMeasure, o.marketTopN, o.marketShare),
+  marketRanking:  (chart, o) => drawMarketRankingChart(o.marketMeasure, 25),
+  countries:      (chart, o) => drawCountryComparisonChart(chart.focusMonths, o.marketSelection, o.marketMeasure),
+  domestic:       (chart, o) => drawDomesticForeignChart(chart.focusMonths, o.marketMeasure, o.marketGrouped),
+  correlation:    (chart, o) => drawCorrelationChart(
+    chart.datasets, o.correlationMeasure, o.correlationLag, o.correlationDeseason
+  )
+};
+
+
+/**
+ * Read the chart toggles and view options, showing only the controls
+ * of the selected view
+ * @returns {Object} Source country and the options of the views
+ */
+function readChartControls() {
+  // Read selected country/metric from dropdown
+  const country = d3.select("#metric").property("value");
+
+  // Read toggle states for individual data layers
+  showArrivals = d3.select("#toggle-arrivals").property("checked");
+  showOvernights = d3.select("#toggle-overnights").property("checked");
+  showAverageStays = d3.select("#toggle-averagestays").property("checked");
+  showBeds = d3.select("#toggle-beds").property("checked");
+  showWeather = d3.select("#toggle-weather").property("checked");
+  capacityMetric = d3.select("#capacity-metric").property("value");
+
+  // Read chart view and its compared metric
+  chartMode  = d3.select("#chart-mode").property("value");
+  viewMetric = d3.select("#view-metric").property("value");
+  d3.select("#view-metric")
+    .style("display", metricViews.includes(chartMode) ? null : "none");
+
+  // Read market view options (shown only for market views)
+  const marketMeasure = d3.select("#market-measure").property("value");
+  const marketTopN    = +d3.select("#market-top-n").property("value");
+  const marketShare   = d3.select("#market-share").property("checked");
+  const marketGrouped = d3.select("#domestic-grouped").property("checked");
+  const marketSelection = Array.from(
+    d3.select("#market-countries").property("selectedOptions"),
+    o => o.value
+  );
+
+  d3.select("#market-controls")
+    .style("display", marketViews.includes(chartMode) ? null : "none");
+  d3.selectAll(".market-mix-option")
+    .style("display", chartMode === "markets" ? null : "none");
+  d3.select("#market-countries")
+    .style("display", chartMode === "countries" ? null : "none");
+  d3.selectAll(".domestic-option")
+    .style("display", chartMode === "domestic" ? null : "none");
+
+  // Read correlation options (shown only for the correlation view)
+  const correlationMeasure  = d3.select("#correlation-measure").property("value");
+  const correlationLag      = +d3.select("#correlation-lag").property("value");
+  const correlationDeseason = d3.select("#correlation-deseasonalize").property("checked");
+
+  d3.select("#correlation-controls")
+    .style("display", chartMode === "correlation" ? null : "none");
+
+  // Read the y-scale mode of the municipality grid
+  const gridScale     = d3.select("#grid-scale").property("value");
+  const gridIndexBase = d3.select("#grid-index-base").property("value");
+
+  d3.select("#grid-controls")
+    .style("display", chartMode === "municipalities" ? null : "none");
+  d3.select("#grid-index-base")
+    .style("display", gridScale === "indexed" ? null : "none");
+
+  return {
+    country,
+    marketMeasure,
+    marketTopN,
+    marketShare,
+    marketGrouped,
+    marketSelection,
+    correlationMeasure,
+    correlationLag,
+    correlationDeseason,
+    gridScale,
+    gridIndexBase
+  };
+}
+
+
+/**
+ * Build the chart data of the selected municipalities (all municipalities
+ * combined when none is selected) and keep it for the data export
+ * @param {string} country - Source country column prefix
+ * @returns {Object|null} Monthly and yearly datasets, months and summaries
+ *   (null without tourism data)
+ */
+function buildChartData(country) {
+  // Get currently selected municipalities (skipping any without tourism rows)
+  const selected = Array.from(activeMunicipalities).filter(hasTourismRows);
+
+  // Container for tourism datasets (one per municipality or aggregated)
+  let datasets = [];
+
+  // Abort if tourism data is missing or empty
+  if (!tourismData || tourismData.length === 0) return null;
+
+  // CASE 1: No municipality selected → aggregate all municipalities together
+  if (selected.length === 0) {
+    // Extract all unique months in chronological order
+    // (without the first month, often incomplete or used as baseline)
+    const allMonths = tourismMonths();
+
+    // Construct dynamic column names based on selected country
+    const keyArr = `${country} (Arrivals)`;
+    const keyOver = `${country} (Overnight stays)`;
+
+    // Sum arrivals and overnight stays across all municipalities per month
+    const monthlySum = allMonths.map(m => {
+      const rows = tourismData.filter(d => d.Month === m);
+      const totalArr = d3.sum(rows, r => r[keyArr]);
+      const totalOver = d3.sum(rows, r => r[keyOver]);
+
+      return {
+        Municipality: "All Municipalities Combined",
+        Month: m,
+        Arrivals: totalArr,
+        Overnights: totalOver,
+        // Average stay = overnight stays divided by arrivals
+        AverageStay: totalArr ? (totalOver / totalArr) : 0
+      };
+    });
+
+    datasets.push(monthlySum);
+
+  // CASE 2: One or more municipalities selected → process each separately
+  } else {
+    selected.forEach(m => datasets.push(municipalityDataset(m, country)));
+  }
+
+  // Add derived capacity metrics (occupancy, overnights per bed, density)
+  datasets.forEach((ds, i) =>
+    addCapacityMetrics(ds, selected.length === 0 ? allMunicipalityNames() : [selected[i]])
+  );
+
+  // Extract all unique months for the overview strip
+  const months = tourismMonths();
+
+  // The main chart zooms to the shared time range (focus + context)
+  const focusMonths = activeMonths();
+  const focusSet = new Set(focusMonths);
+  const focusData = datasets.map(ds => ds.filter(d => focusSet.has(d.Month)));
+
+  // Extract unique years from month strings (format: YYYYMx)
+  const years = Array.from(
+    new Set(months.map(d => +d.split("M")[0]))
+  );
+
+  // Container for bed-capacity datasets
+  let bedDatasets = [];
+
+  // CASE 1: No municipality selected → sum beds across all municipalities per year
+  if (selected.length === 0) {
+    const yearlySum = years.map(y => {
+      const rows = bedsData.filter(d => d.Year === y);
+      return {
+        Municipality: "All Municipalities Combined",
+        Year: y,
+        Beds: d3.sum(rows, r => r.Beds)
+      };
+    });
+
+    bedDatasets.push(yearlySum);
+
+  // CASE 2: Municipality selection → keep bed data separate per municipality
+  } else {
+    selected.forEach(m => {
       const rows = bedsData
-        .filter(d => d.Municipality === m)
+        .filter(d => municipalityKey(d.Municipality) === municipalityKey(m))
         .sort((a, b) => d3.ascending(a.Year, b.Year));
 
-      bedDatasets.push(
-        rows.map(d => ({
-          Municipality: m,
-          Year: d.Year,
-          Beds: d.Beds
-        }))
-      );
+      bedDatasets.push(
+        rows.map(d => ({
+          Municipality: m,
+          Year: d.Year,
+          Beds: d.Beds
+        }))
+      );
+    });
+  }
+
+
+  // Months of the shared time range (whole period when nothing is brushed)
+  const rangeMonths = activeMonths();
+
+  // Aggregated values per dataset, shared by the legend and summary panel
+  const summaries = summarizeDatasets(datasets, rangeMonths);
+
+  // Keep what is plotted for the data export
+  plottedData = {
+    country,
+    datasets,
+    bedDatasets,
+    summaries,
+    months: rangeMonths
+  };
+
+  return {
+    country,
+    selected,
+    datasets,
+    bedDatasets,
+    summaries,
+    months,
+    focusMonths,
+    focusData,
+    rangeMonths
+  };
+}
+
+
+/* =========================================================
+   TIMELINE VIEW
+   ========================================================= */
+
+/**
+ * Timeline: arrivals, overnights, average stay, beds and the capacity
+ * metric over the months in focus, with the weather overlay
+ * @param {Object} chart - Chart data (see buildChartData)
+ */
+function drawTimelineChart(chart) {
+  const { datasets, bedDatasets, summaries, months, focusMonths, focusData } = chart;
+
+  // Januaries in focus mark the start of each year
+  const yearTicks = focusMonths.filter(d => d.endsWith("M01"));
+
+  // Extract unique years from month strings (format: YYYYMx)
+  const years = Array.from(
+    new Set(months.map(d => +d.split("M")[0]))
+  );
+
+
+  /* =========================
+     SCALE DOMAINS
+     ========================= */
+
+  // Define x-scale domain using the months in focus
+  xScale.domain(focusMonths).range([0, innerWidth]);
+
+  // (Re)draw weather histogram depending on toggle state
+  drawWeatherHistogram(activeWeatherData, activeWeatherAttribute);
+
+  // Find maximum value among arrivals and overnight stays
+  const maxArrOver = d3.max(
+    focusData.flat(),
+    d => Math.max(d.Arrivals, d.Overnights)
+  );
+
+  // Find maximum number of beds (yearly data) of the years in focus
+  const focusYears = new Set(focusMonths.map(m => +m.split("M")[0]));
+  const maxBeds = d3.max(
+    bedDatasets.flat().filter(d => focusYears.has(d.Year)),
+    d => d.Beds
+  );
+
+  // Use the larger of tourism values and bed capacity
+  // Add 10% padding for visual spacing
+  const yMax = Math.max(maxArrOver, maxBeds) * 1.1;
+
+  // Configure main y-scale (arrivals / overnights / beds)
+  yScale
+    .domain([0, yMax])
+    .range([innerHeight, 0]);
+
+  // Find maximum average stay value
+  const maxAvgStay = d3.max(
+    focusData.flat(),
+    d => d.AverageStay
+  );
+
+  // Configure secondary y-scale for average stay
+  // Add 20% padding to avoid clipping
+  yAvgScale.domain([0, maxAvgStay * 1.2]);
+
+  // Configure y-scale for the selected capacity metric
+  const showCapacity = capacityMetric in capacityMetrics;
+  if (showCapacity) {
+    yCapScale.domain([0, (d3.max(focusData.flat(), d => d[capacityMetric]) || 1) * 1.2]);
+  }
+
+  // Right axes are stacked: average stay, capacity metric, weather
+  const capacityAxisShift = showAverageStays ? 60 : 0;
+
+
+  /* =========================
+     AXES
+     ========================= */
+
+  // Create a dedicated group for axes
+  const axesLayer = chartG.append("g").attr("class", "axes");
+
+  // X-axis (months)
+  axesLayer.append("g")
+    .attr("transform", `translate(0,${innerHeight})`)
+    .call(
+      d3.axisBottom(xScale)
+        // Tick density adapts to the zoom level
+        .tickValues(monthTickValues(focusMonths))
+        .tickFormat(d => monthNames[+d.split("M")[1] - 1])
+    );
+
+  // Left y-axis for arrivals / overnights / beds
+  axesLayer.append("g")
+    .call(d3.axisLeft(yScale).ticks(6));
+
+  // Right y-axis for average stay (only if enabled)
+  if (showAverageStays) {
+    axesLayer.append("g")
+      .attr("transform", `translate(${innerWidth},0)`)
+      .call(d3.axisRight(yAvgScale).ticks(6));
+
+    // Label for secondary y-axis
+    chartG.append("text")
+      .attr("class", "axis-label")
+      .attr("transform",
+        `translate(${innerWidth + 30}, ${innerHeight / 2}) rotate(90)`)
+      .attr("text-anchor", "middle")
+      .text("Average stay (nights)");
+  }
+
+  // Right y-axis for the capacity metric (only if selected)
+  if (showCapacity) {
+    axesLayer.append("g")
+      .attr("transform", `translate(${innerWidth + capacityAxisShift},0)`)
+      .call(d3.axisRight(yCapScale).ticks(6));
+
+    chartG.append("text")
+      .attr("class", "axis-label")
+      .attr("transform",
+        `translate(${innerWidth + capacityAxisShift + 30}, ${innerHeight / 2}) rotate(90)`)
+      .attr("text-anchor", "middle")
+      .text(capacityMetrics[capacityMetric]);
+  }
+
+
+  /* =========================
+     AXIS LABELS
+     ========================= */
+
+  // X-axis label
+  chartG.append("text")
+    .attr("class", "axis-label")
+    .attr("x", innerWidth / 2)
+    .attr("y", innerHeight + 45)
+    .attr("text-anchor", "middle")
+    .text("Month");
+
+  // Left y-axis label
+  chartG.append("text")
+    .attr("class", "axis-label")
+    .attr("transform", "rotate(-90)")
+    .attr("x", -innerHeight / 2)
+    .attr("y", -60)
+    .attr("text-anchor", "middle")
+    .text("Number of Arrivals / Overnights / Beds");
+
+
+  /* =========================
+     GRIDLINES
+     ========================= */
+
+  // Horizontal gridlines based on y-scale ticks
+  chartG.append("g")
+    .call(g => g.selectAll("line.grid")
+      .data(yScale.ticks(6))
+      .join("line")
+      .attr("class", "grid")
+      .attr("x1", 0)
+      .attr("x2", innerWidth)
+      .attr("y1", d => yScale(d))
+      .attr("y2", d => yScale(d))
+      .attr("stroke", "#e5e5e5ff"));
+
+  // Vertical gridlines marking the start of each year
+  chartG.append("g")
+    .attr("class", "vertical-grid")
+    .selectAll("line")
+    .data(yearTicks)
+    .join("line")
+    .attr("x1", d => xScale(d) + xScale.bandwidth() / 2)
+    .attr("x2", d => xScale(d) + xScale.bandwidth() / 2)
+    .attr("y1", 0)
+    .attr("y2", innerHeight)
+    .attr("stroke", "#e5e5e5ff")
+    .attr("stroke-width", 1);
+
+  // Year labels above the chart, centered over the year's months in focus
+  const yearSpans = d3.groups(focusMonths, d => d.split("M")[0])
+    .map(([year, ms]) => ({
+      year,
+      x: (monthCenterPx(ms[0], xScale) + monthCenterPx(ms[ms.length - 1], xScale)) / 2
+    }));
+
+  chartG.append("g")
+    .attr("class", "year-labels")
+    .selectAll("text")
+    .data(yearSpans)
+    .join("text")
+    .attr("x", d => d.x)
+    .attr("y", -6)
+    .attr("text-anchor", "middle")
+    .attr("font-size", "12px")
+    .attr("font-weight", "500")
+    .attr("fill", "#d7d7d7ff")
+    .text(d => d.year);
+
+
+  /* =========================
+     LINE GENERATORS
+     ========================= */
+
+  // Line for arrivals
+  const lineArr = d3.line()
+    .x(d => xScale(d.Month) + xScale.bandwidth() / 2)
+    .y(d => yScale(d.Arrivals));
+
+  // Line for overnight stays
+  const lineOver = d3.line()
+    .x(d => xScale(d.Month) + xScale.bandwidth() / 2)
+    .y(d => yScale(d.Overnights));
+
+  // Line for average stay (secondary y-axis)
+  const lineAvg = d3.line()
+    .x(d => xScale(d.Month) + xScale.bandwidth() / 2)
+    .y(d => yAvgScale(d.AverageStay));
+
+
+  /* =========================
+     PLOTTING DATA LAYERS
+     ========================= */
+
+  // Main layer that holds all line and point elements
+  const plotLayer = chartG.append("g").attr("class", "plot-layer");
+
+  // Map used later for legend construction (metric type → label)
+  const metricMap = new Map();
+
+  // Loop over each dataset (one per municipality or aggregated),
+  // restricted to the months in focus
+  focusData.filter(data => data.length > 0).forEach(data => {
+    const muni = data[0].Municipality;
+    const safe = safeClassName(muni); // CSS-safe class name
+    const color = muni === "All Municipalities Combined"
+      ? "black"
+      : colorScale(muni);
+
+    /* ---------- ARRIVALS ---------- */
+    if (showArrivals) {
+      // Register metric for legend
+      metricMap.set("filled", { label: "Arrivals", type: "filled" });
+
+      // Draw arrivals line
+      plotLayer.append("path")
+        .datum(data)
+        .attr("class", "line-arr " + safe)
+        .attr("fill", "none")
+        .attr("stroke", color)
+        .attr("stroke-width", 1.5)
+        .attr("d", lineArr);
+
+      // Draw arrivals data points
+      plotLayer.selectAll(".dot-arr-" + safe)
+        .data(data)
+        .join("circle")
+        .attr("class", "dot-arr-" + safe)
+        .attr("cx", d => xScale(d.Month) + xScale.bandwidth() / 2)
+        .attr("cy", d => yScale(d.Arrivals))
+        .attr("r", 3)
+        .attr("fill", color);
+    }
+
+    /* ---------- OVERNIGHT STAYS ---------- */
+    if (showOvernights) {
+      // Register metric for legend
+      metricMap.set("hollow", { label: "Overnights", type: "hollow" });
+
+      // Draw overnight stays line (dashed)
+      plotLayer.append("path")
+        .datum(data)
+        .attr("class", "line-over " + safe)
+        .attr("fill", "none")
+        .attr("stroke", color)
+        .attr("stroke-width", 1.5)
+        .attr("stroke-dasharray", "4,2")
+        .attr("d", lineOver);
+
+      // Draw hollow dots for overnight stays
+      plotLayer.selectAll(".dot-over-" + safe)
+        .data(data)
+        .join("circle")
+        .attr("class", "dot-over-" + safe)
+        .attr("cx", d => xScale(d.Month) + xScale.bandwidth() / 2)
+        .attr("cy", d => yScale(d.Overnights))
+        .attr("r", 3)
+        .attr("fill", "#fafafa")
+        .attr("stroke", color)
+        .attr("stroke-width", 2)
+        .style("pointer-events", "all");
+    }
+
+    /* ---------- AVERAGE STAY ---------- */
+    if (showAverageStays) {
+      // Register metric for legend
+      metricMap.set("avg", { label: "Average stay", type: "avg" });
+
+      // Draw average stay line (secondary y-axis)
+      plotLayer.append("path")
+        .datum(data)
+        .attr("class", "line-avg " + safe)
+        .attr("fill", "none")
+        .attr("stroke", color)
+        .attr("stroke-width", 2)
+        .attr("stroke-dasharray", "2,2")
+        .attr("opacity", 0.8)
+        .attr("d", lineAvg);
+
+      // Triangle symbol for average stay points
+      const avgSymbol = d3.symbol()
+        .type(d3.symbolTriangle)
+        .size(40);
+
+      plotLayer.selectAll(".dot-avg-" + safe)
+        .data(data)
+        .join("path")
+        .attr("class", "dot-avg-" + safe)
+        .attr("d", avgSymbol)
+        .attr(
+          "transform",
+          d => `translate(${xScale(d.Month) + xScale.bandwidth() / 2}, ${yAvgScale(d.AverageStay)})`
+        )
+        .attr("fill", color);
+    }
+
+    /* ---------- CAPACITY METRIC ---------- */
+    if (showCapacity) {
+      // Register metric for legend
+      metricMap.set("capacity", { label: capacityMetrics[capacityMetric], type: "capacity" });
+
+      // Capacity line (undefined where beds or full-year data are missing)
+      const lineCap = d3.line()
+        .defined(d => d[capacityMetric] !== null)
+        .x(d => xScale(d.Month) + xScale.bandwidth() / 2)
+        .y(d => yCapScale(d[capacityMetric]));
+
+      plotLayer.append("path")
+        .datum(data)
+        .attr("class", "line-cap " + safe)
+        .attr("fill", "none")
+        .attr("stroke", color)
+        .attr("stroke-width", 1.5)
+        .attr("stroke-dasharray", "8,3")
+        .attr("d", lineCap);
+
+      // Diamond symbol for capacity points
+      const capSymbol = d3.symbol()
+        .type(d3.symbolDiamond)
+        .size(30);
+
+      plotLayer.selectAll(".dot-cap-" + safe)
+        .data(data.filter(d => d[capacityMetric] !== null))
+        .join("path")
+        .attr("class", "dot-cap-" + safe)
+        .attr("d", capSymbol)
+        .attr(
+          "transform",
+          d => `translate(${xScale(d.Month) + xScale.bandwidth() / 2}, ${yCapScale(d[capacityMetric])})`
+        )
+        .attr("fill", color);
+    }
+
+    /* ---------- BEDS (YEARLY BARS) ---------- */
+    if (showBeds) {
+      // Register metric for legend
+      metricMap.set("bar", { label: "Beds (yearly)", type: "bar" });
+
+      // Separate layer for bed bars (kept behind lines)
+      const bedsLayer = chartG.append("g")
+        .attr("class", "beds-layer");
+
+      const bedGroupsCount = bedDatasets.length;
+
+      // Sort bed datasets by total capacity for consistent ordering
+      bedDatasets.sort(
+        (a, b) => d3.sum(a, d => d.Beds) - d3.sum(b, d => d.Beds)
+      );
+
+      // Draw grouped bars for each year
+      years.forEach(year => {
+        const yearMonths = focusMonths.filter(m => m.startsWith(`${year}M`));
+        if (yearMonths.length === 0) return;
+
+        // Width covering the year's months in focus
+        const xStart = xScale(yearMonths[0]);
+        const yearWidth = xScale(yearMonths[yearMonths.length - 1]) + xScale.bandwidth() - xStart;
+        const barWidth = yearWidth / bedGroupsCount;
+
+        bedDatasets.forEach((dataset, i) => {
+          const entry = dataset.find(d => d.Year === year);
+          if (!entry) return;
+
+          const muni = entry.Municipality;
+          const color = muni === "All Municipalities Combined"
+            ? "rgba(120,120,120,0.35)"
+            : d3.color(colorScale(muni)).copy({ opacity: 0.4 });
+
+          bedsLayer.append("rect")
+            .attr("class", "bed-bar " + safeClassName(muni))
+            .attr("x", xStart + i * barWidth)
+            .attr("width", barWidth)
+            .attr("y", yScale(entry.Beds))
+            .attr("height", innerHeight - yScale(entry.Beds))
+            .attr("fill", color);
+        });
+      });
+
+      // Ensure bars stay behind lines and points
+      bedsLayer.lower();
+    }
+  });
+
+
+
+  /* =========================
+     TITLE
+     ========================= */
+
+  // Chart title (can later be made dynamic based on filters)
+  let titleText = `Tourist Arrivals and Overnights in the ${regionConfig.name} Municipalities`;
+
+  d3.select("#chart-title").text(titleText);
+
+
+  /* =========================
+     MUNICIPALITY LEGEND
+     ========================= */
+
+  // Legend group for municipalities (color-coded)
+  const legend = chartG.append("g")
+    .attr("class", "legend-municipalities")
+    .attr("transform", `translate(20, 0)`);
+
+  // Prepare legend data from datasets
+  const legendData = datasets.map((d, i) => ({
+    label: d[0].Municipality,
+    summary: summaries[i],
+    color: d[0].Municipality === "All Municipalities Combined"
+      ? "#264653"
+      : colorScale(d[0].Municipality)
+  }));
+
+  const muniRowHeight = 22;
+
+  // Create one legend row per municipality
+  const muniLegend = legend.selectAll("g.row")
+    .data(legendData)
+    .join("g")
+    .attr("class", "row")
+    .attr("transform", (d, i) => `translate(0, ${i * muniRowHeight})`);
+
+  // Colored square symbol
+  muniLegend.append("rect")
+    .attr("width", 14)
+    .attr("height", 14)
+    .attr("rx", 3)
+    .attr("ry", 3)
+    .attr("fill", d => d.color);
+
+  // Municipality label
+  muniLegend.append("text")
+    .attr("x", 20)
+    .attr("y", 11)
+    .text(d => `${d.label}${legendTotals(d.summary)}`)
+    .style("font-size", "12px")
+    .style("fill", "#333");
+
+
+  /* =========================
+     METRIC LEGEND
+     ========================= */
+
+  // Legend group for metric types (arrivals, overnights, average stay, beds)
+  const metricLegend = chartG.append("g")
+    .attr("class", "legend-metrics")
+    .attr("transform",
+      `translate(20, ${legendData.length * muniRowHeight + 10})`
+    );
+
+  const metricRowHeight = 20;
+
+  // Convert metricMap to array (unique metric definitions)
+  const metrics = Array.from(metricMap.values());
+
+  // Create legend rows for each metric
+  const metricRows = metricLegend.selectAll("g.row")
+    .data(metrics)
+    .join("g")
+    .attr("class", "row")
+    .attr("transform", (d, i) => `translate(0, ${i * metricRowHeight})`);
+
+  // Filled circle → Arrivals
+  metricRows
+    .filter(d => d.type === "filled")
+    .append("circle")
+    .attr("cx", 7)
+    .attr("cy", 7)
+    .attr("r", 5)
+    .attr("fill", "#555");
+
+  // Hollow circle → Overnight stays
+  metricRows
+    .filter(d => d.type === "hollow")
+    .append("circle")
+    .attr("cx", 7)
+    .attr("cy", 7)
+    .attr("r", 5)
+    .attr("fill", "white")
+    .attr("stroke", "#555")
+    .attr("stroke-width", 1.5);
+
+  // Rectangle → Beds (bars)
+  metricRows
+    .filter(d => d.type === "bar")
+    .append("rect")
+    .attr("x", 2)
+    .attr("y", 2)
+    .attr("width", 10)
+    .attr("height", 10)
+    .attr("fill", "#aaa");
+
+  // Metric label text
+  metricRows.append("text")
+    .attr("x", 20)
+    .attr("y", 10)
+    .text(d => d.label)
+    .style("font-size", "12px")
+    .style("fill", "#333");
+
+  // Triangle symbol → Average stay
+  metricRows
+    .filter(d => d.type === "avg")
+    .append("path")
+    .attr("d", d3.symbol().type(d3.symbolTriangle).size(60))
+    .attr("transform", "translate(7,7)")
+    .attr("fill", "#555");
+
+  // Diamond symbol → Capacity metric
+  metricRows
+    .filter(d => d.type === "capacity")
+    .append("path")
+    .attr("d", d3.symbol().type(d3.symbolDiamond).size(50))
+    .attr("transform", "translate(7,7)")
+    .attr("fill", "#555");
+
+
+  /* =========================
+     CROSSHAIR (HOVER INSPECTION)
+     ========================= */
+
+  // The time range is brushed in the overview strip; the plot area
+  // only captures the pointer for hover inspection
+  const hoverRect = chartG.append("rect")
+    .attr("class", "hover-layer")
+    .attr("width", innerWidth)
+    .attr("height", innerHeight)
+    .attr("fill", "transparent")
+    .style("pointer-events", "all");
+
+  const crosshair = chartG.append("line")
+    .attr("class", "crosshair")
+    .attr("y1", 0)
+    .attr("y2", innerHeight)
+    .attr("stroke", "#888")
+    .attr("stroke-dasharray", "3,3")
+    .style("pointer-events", "none")
+    .style("display", "none");
+
+  // Month under the keyboard time cursor
+  let cursorMonth = null;
+
+  hoverRect
+    .on("mousemove", event => {
+      const [px] = d3.pointer(event, chartG.node());
+      const month = d3.least(focusMonths, m => Math.abs(monthCenterPx(m, xScale) - px));
+
+      showCrosshair(month, event.pageX, event.pageY);
+    })
+    .on("mouseleave", hideCrosshair);
+
+  // Keyboard time cursor: arrow keys step through the months in focus
+  hoverRect
+    .attr("tabindex", 0)
+    .attr("role", "slider")
+    .attr("data-focus-key", "cursor")
+    .attr("aria-label", "Time cursor (arrow keys, Home and End step through the months)")
+    .attr("aria-valuemin", 0)
+    .attr("aria-valuemax", focusMonths.length - 1)
+    .on("keydown", event => {
+      const last = focusMonths.length - 1;
+      const current = cursorMonth ? focusMonths.indexOf(cursorMonth) : -1;
+      const index = {
+        ArrowLeft:  current < 0 ? last : Math.max(0, current - 1),
+        ArrowRight: Math.min(last, current + 1),
+        Home:       0,
+        End:        last
+      }[event.key];
+
+      if (index === undefined) return;
+      event.preventDefault();
+
+      cursorMonth = focusMonths[index];
+
+      // Place the tooltip as a pointer at the month would
+      const box = chartSvg.node().getBoundingClientRect();
+      showCrosshair(
+        cursorMonth,
+        box.left + window.scrollX + margin.left + monthCenterPx(cursorMonth, xScale),
+        box.top + window.scrollY + margin.top + innerHeight / 3
+      );
+
+      hoverRect
+        .attr("aria-valuenow", index)
+        .attr("aria-valuetext", crosshairText());
+    })
+    .on("blur", () => {
+      cursorMonth = null;
+      hideCrosshair();
+    });
+
+
+  /* =========================
+     HELPERS
+     ========================= */
+
+  // Show the crosshair and the tooltip of a month at a page position
+  function showCrosshair(month, pageX, pageY) {
+    crosshair
+      .attr("x1", monthCenterPx(month, xScale))
+      .attr("x2", monthCenterPx(month, xScale))
+      .style("display", null);
+
+    chartTooltip
+      .style("display", "block")
+      .html(crosshairHTML(month));
+
+    // Keep the tooltip inside the chart: flip it left of the cursor on the right half
+    const px = monthCenterPx(month, xScale);
+    const width = chartTooltip.node().offsetWidth;
+    chartTooltip
+      .style("left", `${px > innerWidth / 2 ? pageX - width - 16 : pageX + 16}px`)
+      .style("top", `${pageY - 28}px`);
+  }
+
+  // Text of the crosshair tooltip read out by screen readers
+  // (one phrase per table row)
+  function crosshairText() {
+    const tooltipNode = chartTooltip.node();
+    const title = tooltipNode.querySelector("strong").textContent;
+
+    const rows = Array.from(tooltipNode.querySelectorAll(".crosshair-table tr"))
+      .slice(1)
+      .map(tr => Array.from(tr.cells, c => c.textContent).filter(Boolean).join(" "));
+
+    return [title, ...rows].join("; ");
+  }
+
+  // Hide the crosshair and its tooltip
+  function hideCrosshair() {
+    crosshair.style("display", "none");
+    chartTooltip.style("display", "none");
+  }
+
+
+  /**
+   * Tooltip table of every visible series in one month, with the change
+   * against the previous month and the same month one year earlier
+   * @param {string} m - Month key
+   * @returns {string} HTML
+   */
+  function crosshairHTML(m) {
+    const previousMonth = shiftMonth(m, -1);
+    const previousYear  = previousYearMonth(m);
+    const year = +m.split("M")[0];
+
+    const series = [];
+    if (showArrivals)     series.push({ key: "Arrivals",    label: "Arrivals",     format: d3.format(",") });
+    if (showOvernights)   series.push({ key: "Overnights",  label: "Overnights",   format: d3.format(",") });
+    if (showAverageStays) series.push({ key: "AverageStay", label: "Average stay", format: d3.format(".2f") });
+    if (showCapacity) {
+      series.push({ key: capacityMetric, label: capacityMetrics[capacityMetric], format: d3.format(",.1f") });
+    }
+
+    const valueRow = (label, value, mom, yoy) =>
+      `<tr><td>${label}</td><td>${value}</td><td>${mom}</td><td>${yoy}</td></tr>`;
+
+    // One block of rows per municipality
+    const municipalityRows = datasets.map(data => {
+      const byMonth = new Map(data.map(d => [d.Month, d]));
+      const d = byMonth.get(m);
+      if (!d) return "";
+
+      const muni = d.Municipality;
+      const color = muni === "All Municipalities Combined" ? "#264653" : colorScale(muni);
+
+      const rows = series.map(s => d[s.key] == null
+        ? valueRow(s.label, "n/a", "", "")
+        : valueRow(
+            s.label,
+            s.format(d[s.key]),
+            formatChange(d[s.key], byMonth.get(previousMonth)?.[s.key]),
+            formatChange(d[s.key], byMonth.get(previousYear)?.[s.key])
+          ));
+
+      if (showBeds) {
+        const beds = bedDatasets.flat().filter(b => b.Municipality === muni);
+        const current  = beds.find(b => b.Year === year);
+        const previous = beds.find(b => b.Year === year - 1);
+
+        rows.push(current
+          ? valueRow(`Beds (${year})`, d3.format(",")(current.Beds), "", formatChange(current.Beds, previous?.Beds))
+          : valueRow(`Beds (${year})`, "n/a", "", ""));
+      }
+
+      return `<tr><th colspan="4" style="color:${color}">${escapeHtml(muni)}</th></tr>${rows.join("")}`;
+    });
+
+    // Weather differences are given in the attribute's unit
+    const weatherRows = showWeather && activeWeatherAttribute
+      ? visibleWeatherStations().map(({ station, data }) => {
+          const byMonth = new Map(data.map(d => [d.Month, d[activeWeatherAttribute]]));
+          const value = byMonth.get(m);
+          const diff = other => typeof value === "number" && typeof other === "number"
+            ? d3.format("+.1f")(value - other)
+            : "–";
+
+          return typeof value === "number"
+            ? valueRow(escapeHtml(station.name), escapeHtml(formatWeatherValue(value, activeWeatherAttribute)),
+                diff(byMonth.get(previousMonth)), diff(byMonth.get(previousYear)))
+            : valueRow(escapeHtml(station.name), "n/a", "", "");
+        })
+      : [];
+
+    const weatherBlock = weatherRows.length
+      ? `<tr><th colspan="4">${escapeHtml(weatherAttributeLabel(activeWeatherAttribute))}</th></tr>${weatherRows.join("")}`
+      : "";
+
+    return `<strong>${formatMonthLabel(m)}</strong>` +
+      `<table class="crosshair-table">` +
+      `<tr><td></td><td></td><td>vs. prev. month</td><td>vs. last year</td></tr>` +
+      municipalityRows.join("") +
+      weatherBlock +
+      `</table>`;
+  }
+
+
+  // Short totals shown next to each municipality in the legend
+  function legendTotals(summary) {
+    const parts = [];
+
+    if (showArrivals) {
+      parts.push(`${summary.sumArr.toLocaleString()} arrivals`);
+    }
+    if (showOvernights) {
+      parts.push(`${summary.sumOver.toLocaleString()} overnights`);
+    }
+
+    return parts.length ? ` (${parts.join(", ")})` : "";
+  }
+}
+
+
+/* =========================================================
+   DATA AGGREGATION (TIME RANGE)
+   ========================================================= */
+
+/**
+ * Aggregate every dataset over the given months
+ *
+ * @param {Array<Array<Object>>} datasets - Chart datasets
+ * @param {Array<string>} indices - Selected month keys
+ * @returns {Array<Object>} Aggregated data per municipality
+ */
+function summarizeDatasets(datasets, indices) {
+
+  // Extract unique years from selected months
+  const selectedYears = Array.from(
+    new Set(indices.map(d => +d.split("M")[0]))
+  ).sort(d3.ascending);
+
+  return datasets.map(ds => {
+
+    const muni = ds[0].Municipality;
+
+    // Filter dataset to selected months
+    const sub = ds.filter(d => indices.includes(d.Month));
+
+    // Aggregate arrivals and overnights
+    const sumArr  = d3.sum(sub, d => d.Arrivals);
+    const sumOver = d3.sum(sub, d => d.Overnights);
+
+    // Calculate average stay length
+    const avgStay = sumArr ? (sumOver / sumArr) : 0;
+
+    // Same months one year earlier (only if fully covered by the data)
+    const prevMonths = new Set(indices.map(previousYearMonth));
+    const prevSub = ds.filter(d => prevMonths.has(d.Month));
+    const hasPrev = prevSub.length === sub.length && sub.length > 0;
+
+    const prevArr  = hasPrev ? d3.sum(prevSub, d => d.Arrivals) : null;
+    const prevOver = hasPrev ? d3.sum(prevSub, d => d.Overnights) : null;
+
+
+    /* -------------------------
+      BEDS BY YEAR
+      ------------------------- */
+
+    let bedsByYear = [];
+
+    // Special handling for aggregated municipality
+    if (muni === "All Municipalities Combined") {
+
+      bedsByYear = selectedYears.map(y => ({
+        year: y,
+        beds: d3.sum(
+          bedsData.filter(d => d.Year === y),
+          d => d.Beds
+        )
+      }));
+
+    } else {
+
+      bedsByYear = selectedYears.map(y => {
+        const row = bedsData.find(
+          d => municipalityKey(d.Municipality) === municipalityKey(muni) && d.Year === y
+        );
+
+        return {
+          year: y,
+          beds: row ? row.Beds : 0
+        };
+      });
+    }
+
+    return {
+      muni,
+      sumArr,
+      sumOver,
+      avgStay,
+      prevArr,
+      prevOver,
+      bedsByYear
+    };
+  });
+}
+
+
+/* =========================================================
+   SUMMARY PANEL HTML GENERATOR
+   ========================================================= */
+
+/**
+ * Generate HTML content for the summary panel
+ * based on aggregated municipality summaries and
+ * enabled display options.
+ *
+ * @param {Array<Object>} summaries - Aggregated data per municipality
+ * @param {string} periodText - Human-readable time range label
+ * @param {Object} options - Display toggles
+ * @param {boolean} options.showArrivals
+ * @param {boolean} options.showOvernights
+ * @param {boolean} options.showAverageStays
+ * @param {boolean} options.showBeds
+ * @returns {string} HTML string for panel content
+ */
+function generateSummaryHTML(summaries, periodText, options) {
+
+  // Destructure display options
+  const {
+    showArrivals,
+    showOvernights,
+    showAverageStays,
+    showBeds
+  } = options;
+
+
+  /* -------------------------
+    HTML CONSTRUCTION
+    ------------------------- */
+
+  const html = `
+    <strong>Period:</strong> ${periodText}<br>
+    ${summaries.map(s => {
+
+      // Start section for one municipality
+      const lines = [
+        `<hr><strong>${escapeHtml(s.muni)}</strong><br>`
+      ];
+
+      // Arrivals
+      if (showArrivals) {
+        lines.push(
+          `Arrivals: ${s.sumArr.toLocaleString()}${formatYoyDelta(s.sumArr, s.prevArr)}<br>`
+        );
+      }
+
+      // Overnights
+      if (showOvernights) {
+        lines.push(
+          `Overnights: ${s.sumOver.toLocaleString()}${formatYoyDelta(s.sumOver, s.prevOver)}<br>`
+        );
+      }
+
+      // Average length of stay
+      if (showAverageStays) {
+        lines.push(
+          `Average stay: ${s.avgStay.toFixed(2)} nights<br>`
+        );
+      }
+
+      // Beds per year
+      if (showBeds) {
+        lines.push(
+          `Beds: ${s.bedsByYear
+            .map(b => `${b.beds.toLocaleString()} (${b.year})`)
+            .join(", ")}<br>`
+        );
+      }
+
+      // Combine all lines for this municipality
+      return lines.join("");
+
+    }).join("")}
+  `;
+
+  return html;
+}
+
+
+/* =========================================================
+   TIME OVERVIEW (FOCUS + CONTEXT)
+   ========================================================= */
+
+// Height of the overview strip and its offset below the chart
+const overviewHeight = 36;
+const overviewTop    = innerHeight + 62;
+
+
+/**
+ * Month ticks for the x-axis, as dense as the zoom level allows
+ * (every 1, 2, 3, 6 or 12 months, aligned to the calendar)
+ * @param {Array<string>} months - Month keys in focus
+ * @param {number} [width] - Axis length in px (the chart width by default)
+ * @returns {Array<string>}
+ */
+function monthTickValues(months, width = innerWidth) {
+  const minSpacing = 32; // px between tick labels
+  const step = width / Math.max(months.length, 1);
+  const every = [1, 2, 3, 6, 12].find(n => n * step >= minSpacing) ?? 12;
+
+  return months.filter(m => (+m.split("M")[1] - 1) % every === 0);
+}
+
+
+/**
+ * Draw the overview strip below the chart: arrivals over the whole
+ * period with the brush that sets the shared time range
+ * @param {Array<Array<Object>>} datasets - Chart datasets
+ * @param {Array<string>} months - All month keys
+ */
+function drawOverview(datasets, months) {
+  const x = d3.scaleBand()
+    .domain(months)
+    .range([0, innerWidth])
+    .padding(0.2);
+
+  const totals = d3.rollup(datasets.flat(), v => d3.sum(v, d => d.Arrivals), d => d.Month);
+
+  const y = d3.scaleLinear()
+    .domain([0, d3.max(totals.values()) || 1])
+    .range([overviewHeight, 0]);
+
+  const overview = chartG.append("g")
+    .attr("class", "overview")
+    .attr("transform", `translate(0, ${overviewTop})`);
+
+  overview.append("rect")
+    .attr("width", innerWidth)
+    .attr("height", overviewHeight)
+    .attr("fill", "#f0f0f0");
+
+  overview.append("path")
+    .datum(months)
+    .attr("fill", "#c8c8c8")
+    .attr("d", d3.area()
+      .x(m => x(m) + x.bandwidth() / 2)
+      .y0(overviewHeight)
+      .y1(m => y(totals.get(m) ?? 0)));
+
+  overview.append("g")
+    .attr("class", "axes")
+    .attr("transform", `translate(0, ${overviewHeight})`)
+    .call(
+      d3.axisBottom(x)
+        .tickValues(months.filter(m => m.endsWith("M01")))
+        .tickFormat(m => m.split("M")[0])
+        .tickSize(3)
+    );
+
+  overview.append("text")
+    .attr("x", -10)
+    .attr("y", overviewHeight / 2)
+    .attr("dy", "0.35em")
+    .attr("text-anchor", "end")
+    .style("font-size", "11px")
+    .style("fill", "#777")
+    .text("Zoom");
+
+
+  /* -------------------------
+     BRUSH
+     ------------------------- */
+
+  // Snap the selection to whole months; clearing it shows the whole period
+  const brush = d3.brushX()
+    .extent([[0, 0], [innerWidth, overviewHeight]])
+    .on("end", event => {
+
+      // Ignore programmatic moves (restoring the brush after a redraw)
+      if (!event.sourceEvent) return;
+
+      if (!event.selection) {
+        setTimeRange(null);
+        return;
+      }
+
+      const [x0, x1] = event.selection;
+      const selected = months.filter(m => {
+        const px = x(m) + x.bandwidth() / 2;
+        return px >= x0 && px <= x1;
+      });
+
+      setTimeRange(
+        selected.length > 0
+          ? [selected[0], selected[selected.length - 1]]
+          : null
+      );
+    });
+
+  const brushG = overview.append("g")
+    .attr("class", "brush")
+    .call(brush);
+
+  // Restore the shared time range after a redraw
+  if (activeTimeRange) {
+    const [start, end] = activeTimeRange;
+    brushG.call(brush.move, [x(start), x(end) + x.bandwidth()]);
+  }
+
+
+  /* -------------------------
+     KEYBOARD
+     ------------------------- */
+
+  // Arrow keys move the range by a month, Shift+arrow keys move its end,
+  // Escape shows the whole period again
+  const last = months.length - 1;
+  const [start, end] = (activeTimeRange ?? [months[0], months[last]])
+    .map(m => Math.max(0, months.indexOf(m)));
+
+  brushG
+    .attr("tabindex", 0)
+    .attr("role", "slider")
+    .attr("data-focus-key", "overview")
+    .attr("aria-label",
+      "Time range (arrow keys move it, Shift+arrow keys move its end, Escape shows the whole period)")
+    .attr("aria-valuemin", 0)
+    .attr("aria-valuemax", last)
+    .attr("aria-valuenow", start)
+    .attr("aria-valuetext", formatPeriod(months.slice(start, end + 1)))
+    .on("keydown", event => {
+      if (event.key === "Escape") {
+        event.preventDefault();
+        setTimeRange(null);
+        return;
+      }
+
+      const step = { ArrowLeft: -1, ArrowRight: 1 }[event.key];
+      if (!step) return;
+      event.preventDefault();
+
+      let [i0, i1] = [start, end];
+      if (event.shiftKey) {
+        i1 = Math.min(last, Math.max(i0, i1 + step));
+      } else {
+        const shift = Math.min(last - i1, Math.max(-i0, step));
+        i0 += shift;
+        i1 += shift;
+      }
+
+      setTimeRange(i0 === 0 && i1 === last ? null : [months[i0], months[i1]]);
+    });
+}
+
+
+/* =========================================================
+   LINKED PANELS (SMALL MULTIPLES)
+   ========================================================= */
+
+// Vertical gap between panels (room for each panel's title)
+const panelGap = 22;
+
+
+/**
+ * Measures shown as linked panels: tourism counts, average stay,
+ * beds and the capacity metric, and the weather of the visible stations.
+ * Each panel lists its series ({ label, color, dash, values: [{ Month, value }] })
+ * @param {Array<Array<Object>>} datasets - Chart datasets in focus
+ * @param {Array<string>} months - Month keys in focus
+ * @param {Array<Array<Object>>} bedDatasets - Yearly beds per dataset
+ * @returns {Array<Object>}
+ */
+function linkedPanelSeries(datasets, months, bedDatasets) {
+  const seriesColor = name => name === "All Municipalities Combined"
+    ? "#264653"
+    : colorScale(name);
+
+  const monthlySeries = (key, dash = null) => datasets.map(data => ({
+    label: data[0].Municipality,
+    color: seriesColor(data[0].Municipality),
+    dash,
+    values: data.map(d => ({ Month: d.Month, value: d[key] ?? null }))
+  }));
+
+  const panels = [];
+
+  // Arrivals and overnights share one panel (solid and dashed lines)
+  const counts = [];
+  if (showArrivals) {
+    counts.push(...monthlySeries("Arrivals").map(s => ({ ...s, label: `${s.label} – arrivals` })));
+  }
+  if (showOvernights) {
+    counts.push(...monthlySeries("Overnights", "4,2").map(s => ({ ...s, label: `${s.label} – overnights` })));
+  }
+  if (counts.length > 0) {
+    panels.push({ key: "counts", title: "Arrivals / Overnights", format: d3.format(","), series: counts });
+  }
+
+  panels.push({
+    key: "averageStay",
+    title: "Average stay (nights)",
+    format: d3.format(".2f"),
+    series: monthlySeries("AverageStay")
+  });
+
+  // Yearly beds are drawn as steps over the months of each year
+  panels.push({
+    key: "beds",
+    title: "Beds (yearly)",
+    format: d3.format(","),
+    step: true,
+    series: bedDatasets.map(rows => {
+      const byYear = new Map(rows.map(d => [d.Year, d.Beds]));
+      return {
+        label: rows[0]?.Municipality ?? "",
+        color: seriesColor(rows[0]?.Municipality),
+        dash: null,
+        values: months.map(m => ({ Month: m, value: byYear.get(+m.split("M")[0]) ?? null }))
+      };
+    })
+  });
+
+  if (capacityMetric in capacityMetrics) {
+    panels.push({
+      key: "capacity",
+      title: capacityMetrics[capacityMetric],
+      format: d3.format(",.1f"),
+      series: monthlySeries(capacityMetric)
+    });
+  }
+
+  // Weather of the selected station and the compared ones
+  const stations = showWeather && activeWeatherAttribute ? visibleWeatherStations() : [];
+  if (stations.length > 0) {
+    const monthSet = new Set(months);
+    const attrKey = activeWeatherAttribute;
+
+    panels.push({
+      key: "weather",
+      title: weatherAttributeLabel(attrKey),
+      format: value => formatWeatherValue(value, attrKey),
+      encoding: stations.length === 1 ? weatherEncoding(attrKey) : "line",
+      series: stations.map(({ station, data }) => ({
+        label: station.name,
+        color: stations.length === 1 ? "#4A90E2" : stationColor(station.id),
+        dash: null,
+        values: data
+          .filter(d => monthSet.has(d.Month))
+          .map(d => ({ Month: d.Month, value: typeof d[attrKey] === "number" ? d[attrKey] : null }))
+      }))
+    });
+  }
+
+  return panels;
+}
+
+
+/**
+ * Draw vertically stacked panels sharing the month x-axis, each with
+ * its own y-scale; the hover line, the tooltip and the brush are
+ * synchronized across all panels
+ * @param {Array<Array<Object>>} datasets - Chart datasets in focus
+ * @param {Array<string>} months - Month keys in focus
+ * @param {Array<Array<Object>>} bedDatasets - Yearly beds per dataset
+ */
+function drawLinkedPanels(datasets, months, bedDatasets) {
+  const panels = linkedPanelSeries(datasets, months, bedDatasets);
+  const panelHeight = (innerHeight - panelGap * (panels.length - 1)) / panels.length;
+
+  xScale.domain(months).range([0, innerWidth]);
+
+  d3.select("#chart-title")
+    .text(`Tourism, Capacity and Weather in the ${regionConfig.name} Municipalities`);
+
+
+  /* -------------------------
+     PANELS
+     ------------------------- */
+
+  const panelGroups = chartG.selectAll("g.linked-panel")
+    .data(panels)
+    .join("g")
+    .attr("class", d => `linked-panel panel-${d.key}`)
+    .attr("transform", (d, i) => `translate(0, ${i * (panelHeight + panelGap)})`);
+
+  panelGroups.each(function (panel) {
+    const g = d3.select(this);
+    const values = panel.series.flatMap(s => s.values.map(d => d.value));
+
+    // Bars keep their zero baseline, the other panels start at zero
+    // unless their values are negative (e.g. temperatures)
+    const domain = panel.key === "weather"
+      ? weatherDomain(values, panel.encoding)
+      : [Math.min(0, d3.min(values) ?? 0), (d3.max(values) || 1) * 1.1];
+
+    panel.y = d3.scaleLinear()
+      .domain(domain)
+      .range([panelHeight, 0])
+      .nice();
+
+    g.append("rect")
+      .attr("class", "panel-bg")
+      .attr("width", innerWidth)
+      .attr("height", panelHeight)
+      .attr("fill", "#fff")
+      .attr("stroke", "#eee");
+
+    g.append("g")
+      .selectAll("line")
+      .data(panel.y.ticks(3))
+      .join("line")
+      .attr("class", "grid")
+      .attr("x1", 0)
+      .attr("x2", innerWidth)
+      .attr("y1", d => panel.y(d))
+      .attr("y2", d => panel.y(d))
+      .attr("stroke", "#e5e5e5ff");
+
+    g.append("g")
+      .attr("class", "axes")
+      .call(d3.axisLeft(panel.y).ticks(3).tickFormat(d3.format("~s")));
+
+    g.append("text")
+      .attr("class", "panel-title")
+      .attr("x", 0)
+      .attr("y", -6)
+      .style("font-size", "12px")
+      .style("font-weight", "500")
+      .style("fill", "#333")
+      .text(panel.title);
+
+    // Single-station bar attributes (e.g. precipitation) keep their bars
+    if (panel.encoding === "bars") {
+      g.append("g")
+        .selectAll("rect")
+        .data(panel.series[0].values.filter(d => d.value !== null))
+        .join("rect")
+        .attr("class", "panel-bar")
+        .attr("x", d => xScale(d.Month))
+        .attr("width", xScale.bandwidth())
+        .attr("y", d => Math.min(panel.y(0), panel.y(d.value)))
+        .attr("height", d => Math.abs(panel.y(0) - panel.y(d.value)))
+        .attr("fill", panel.series[0].color)
+        .attr("opacity", 0.6);
+      return;
+    }
+
+    const line = d3.line()
+      .defined(d => d.value !== null)
+      .curve(panel.step ? d3.curveStep : d3.curveLinear)
+      .x(d => monthCenterPx(d.Month, xScale))
+      .y(d => panel.y(d.value));
+
+    g.append("g")
+      .selectAll("path")
+      .data(panel.series)
+      .join("path")
+      .attr("class", d => "panel-line " + safeClassName(d.label))
+      .attr("fill", "none")
+      .attr("stroke", d => d.color)
+      .attr("stroke-width", 1.5)
+      .attr("stroke-dasharray", d => d.dash)
+      .attr("d", d => line(d.values));
+  });
+
+  // Shared month axis below the last panel
+  chartG.append("g")
+    .attr("class", "axes")
+    .attr("transform", `translate(0,${innerHeight})`)
+    .call(
+      d3.axisBottom(xScale)
+        .tickValues(monthTickValues(months))
+        .tickFormat(formatMonthLabel)
+    );
+
+  drawMarketLegend(
+    datasets.map(data => ({
+      label: data[0].Municipality,
+      color: data[0].Municipality === "All Municipalities Combined"
+        ? "#264653"
+        : colorScale(data[0].Municipality)
+    })),
+    20
+  );
+
+
+  /* -------------------------
+     SYNCHRONIZED HOVER LINE
+     ------------------------- */
+
+  const hoverLines = panelGroups.append("line")
+    .attr("class", "crosshair")
+    .attr("y1", 0)
+    .attr("y2", panelHeight)
+    .attr("stroke", "#888")
+    .attr("stroke-dasharray", "3,3")
+    .style("pointer-events", "none")
+    .style("display", "none");
+
+  // Month closest to a pointer position in chart coordinates
+  const monthAt = px => d3.least(months, m => Math.abs(monthCenterPx(m, xScale) - px));
+
+  function showHoverLine(month, pageX, pageY) {
+    const px = monthCenterPx(month, xScale);
+    hoverLines
+      .attr("x1", px)
+      .attr("x2", px)
+      .style("display", null);
+
+    chartTooltip
+      .style("display", "block")
+      .html(panelTooltipHTML(month));
+
+    // Flip the tooltip left of the pointer on the right half
+    const width = chartTooltip.node().offsetWidth;
+    chartTooltip
+      .style("left", `${px > innerWidth / 2 ? pageX - width - 16 : pageX + 16}px`)
+      .style("top", `${pageY - 28}px`);
+  }
+
+  function hideHoverLine() {
+    hoverLines.style("display", "none");
+    chartTooltip.style("display", "none");
+  }
+
+  // One block per panel with the value of each series in the month
+  function panelTooltipHTML(m) {
+    const blocks = panels.map(panel => {
+      const rows = panel.series.map(s => {
+        const value = s.values.find(d => d.Month === m)?.value;
+        return `<tr><td style="color:${s.color}">${escapeHtml(s.label)}</td>` +
+          `<td>${value == null ? "n/a" : panel.format(value)}</td></tr>`;
+      });
+
+      return `<tr><th colspan="2">${escapeHtml(panel.title)}</th></tr>${rows.join("")}`;
+    });
+
+    return `<strong>${formatMonthLabel(m)}</strong>` +
+      `<table class="crosshair-table">${blocks.join("")}</table>`;
+  }
+
+
+  /* -------------------------
+     SYNCHRONIZED BRUSH
+     ------------------------- */
+
+  // Brushing in any panel mirrors the selection in the others and,
+  // once released, zooms all panels to the brushed months
+  const brush = d3.brushX()
+    .extent([[0, 0], [innerWidth, panelHeight]])
+    .on("brush", function (event) {
+      if (!event.sourceEvent) return;
+      const source = this;
+      brushGroups.filter(function () { return this !== source; })
+        .call(brush.move, event.selection);
+    })
+    .on("end", event => {
+      if (!event.sourceEvent) return;
+
+      // A click without dragging clears the time range
+      if (!event.selection) {
+        setTimeRange(null);
+        return;
+      }
+
+      const [x0, x1] = event.selection;
+      const selected = months.filter(m => {
+        const px = monthCenterPx(m, xScale);
+        return px >= x0 && px <= x1;
+      });
+
+      if (selected.length > 0) {
+        setTimeRange([selected[0], selected[selected.length - 1]]);
+      } else {
+        brushGroups.call(brush.move, null);
+      }
+    });
+
+  // The brush overlay also captures the pointer for the hover line
+  const brushGroups = panelGroups.append("g")
+    .attr("class", "brush")
+    .call(brush)
+    .on("mousemove.hover", event => {
+      const [px] = d3.pointer(event, chartG.node());
+      showHoverLine(monthAt(px), event.pageX, event.pageY);
+    })
+    .on("mouseleave.hover", hideHoverLine);
+
+
+  /* -------------------------
+     KEYBOARD
+     ------------------------- */
+
+  // The panels share one time cursor: arrow keys, Home and End step
+  // through the months in focus
+  let cursorMonth = null;
+
+  const panelsFocus = chartG.append("rect")
+    .attr("class", "panels-focus")
+    .attr("width", innerWidth)
+    .attr("height", innerHeight)
+    .attr("fill", "none")
+    .style("pointer-events", "none")
+    .attr("tabindex", 0)
+    .attr("role", "slider")
+    .attr("data-focus-key", "cursor")
+    .attr("aria-label", "Time cursor of all panels (arrow keys, Home and End step through the months)")
+    .attr("aria-valuemin", 0)
+    .attr("aria-valuemax", months.length - 1)
+    .on("keydown", event => {
+      const last = months.length - 1;
+      const current = cursorMonth ? months.indexOf(cursorMonth) : -1;
+      const index = {
+        ArrowLeft:  current < 0 ? last : Math.max(0, current - 1),
+        ArrowRight: Math.min(last, current + 1),
+        Home:       0,
+        End:        last
+      }[event.key];
+
+      if (index === undefined) return;
+      event.preventDefault();
+
+      cursorMonth = months[index];
+
+      const box = chartSvg.node().getBoundingClientRect();
+      showHoverLine(
+        cursorMonth,
+        box.left + window.scrollX + margin.left + monthCenterPx(cursorMonth, xScale),
+        box.top + window.scrollY + margin.top + innerHeight / 3
+      );
+
+      panelsFocus
+        .attr("aria-valuenow", index)
+        .attr("aria-valuetext", `${formatMonthLabel(cursorMonth)}: ` +
+          panels.map(panel => `${panel.title} ` + panel.series
+            .map(s => {
+              const value = s.values.find(d => d.Month === cursorMonth)?.value;
+              return `${s.label} ${value == null ? "n/a" : panel.format(value)}`;
+            })
+            .join(", ")
+          ).join("; "));
+    })
+    .on("blur", () => {
+      cursorMonth = null;
+      hideHoverLine();
+    });
+}
+
+
+/* =========================================================
+   SMALL MULTIPLES PER MUNICIPALITY
+   ========================================================= */
+
+// Y-scale modes of the municipality grid (value of #grid-scale)
+const gridScales = {
+  shared:      "shared scale",
+  independent: "independent scales",
+  indexed:     "indexed"
+};
+
+// Base of the indexed mode (value of #grid-index-base)
+const gridIndexBases = {
+  start:     "first month of the data = 100",
+  sameMonth: "same month of the first year = 100"
+};
+
+
+/**
+ * Index a monthly series to 100 at its base: the first month of the data,
+ * or the same calendar month of the first year (which removes seasonality)
+ * @param {Array<Object>} dataset - Monthly rows of one municipality
+ * @param {string} metric - Dataset field
+ * @param {string} base - "start" or "sameMonth"
+ * @returns {Array<{Month: string, value: (number|null)}>}
+ */
+function indexSeries(dataset, metric, base) {
+  const firstYear = dataset[0]?.Month.split("M")[0];
+  const byMonth = new Map(dataset.map(d => [d.Month, d[metric]]));
+
+  return dataset.map(d => {
+    const baseValue = base === "sameMonth"
+      ? byMonth.get(`${firstYear}M${d.Month.split("M")[1]}`)
+      : dataset[0][metric];
+
+    return {
+      Month: d.Month,
+      value: baseValue && d[metric] !== null ? d[metric] / baseValue * 100 : null
+    };
+  });
+}
+
+
+/**
+ * Draw a grid of small multiples, one panel per selected municipality
+ * (every municipality when none is selected), with a shared y-scale,
+ * independent y-scales or indexed series; the hover line is synchronized
+ * @param {Array<string>} names - Municipalities to plot
+ * @param {string} country - Source country column prefix
+ * @param {Array<string>} months - Month keys in focus
+ * @param {string} metric - Dataset field to compare
+ * @param {string} scaleMode - Key of gridScales
+ * @param {string} indexBase - Key of gridIndexBases
+ * @returns {{columns: Array<string>, rows: Array<Object>}} Plotted table
+ */
+function drawMunicipalityGrid(names, country, months, metric, scaleMode, indexBase) {
+  const monthSet = new Set(months);
+  const indexed = scaleMode === "indexed";
+
+  // Indexes are computed on the whole series, so the base stays fixed when zooming
+  const series = names.map(name => {
+    const dataset = municipalityDataset(name, country);
+    addCapacityMetrics(dataset, [name]);
+
+    const values = indexed
+      ? indexSeries(dataset, metric, indexBase)
+      : dataset.map(d => ({ Month: d.Month, value: d[metric] ?? null }));
+
+    return { name, color: colorScale(name), values: values.filter(d => monthSet.has(d.Month)) };
+  });
+
+  const format = indexed ? d3.format(".1f") : d3.format(",.1~f");
+
+
+  /* -------------------------
+     LAYOUT
+     ------------------------- */
+
+  const columnCount = series.length <= 2 ? series.length : series.length <= 4 ? 2 : 3;
+  const rowCount = Math.ceil(series.length / columnCount);
+  const gapX = 50; // room for the y-axis of the next panel
+  const gapY = 40; // room for the month ticks and the next panel title
+
+  const panelWidth  = (innerWidth - gapX * (columnCount - 1)) / columnCount;
+  const panelHeight = (innerHeight - gapY * (rowCount - 1)) / rowCount;
+
+  const x = d3.scaleBand()
+    .domain(months)
+    .range([0, panelWidth])
+    .padding(0.2);
+
+  // Shared domain across panels (also used by the indexed mode)
+  const sharedMax = d3.max(series, s => d3.max(s.values, d => d.value)) || 1;
+  const yFor = s => d3.scaleLinear()
+    .domain([0, (scaleMode === "independent" ? d3.max(s.values, d => d.value) || 1 : sharedMax) * 1.1])
+    .range([panelHeight, 0])
+    .nice();
+
+  const ticks = monthTickValues(months, panelWidth);
+
+
+  /* -------------------------
+     PANELS
+     ------------------------- */
+
+  const panels = chartG.selectAll("g.municipality-panel")
+    .data(series)
+    .join("g")
+    .attr("class", d => "municipality-panel " + safeClassName(d.name))
+    .attr("transform", (d, i) =>
+      `translate(${(i % columnCount) * (panelWidth + gapX)}, ${Math.floor(i / columnCount) * (panelHeight + gapY)})`
+    );
+
+  panels.each(function (s, i) {
+    const g = d3.select(this);
+    const y = s.y = yFor(s);
+
+    g.append("rect")
+      .attr("class", "panel-bg")
+      .attr("width", panelWidth)
+      .attr("height", panelHeight)
+      .attr("fill", "#fff")
+      .attr("stroke", "#eee");
+
+    g.append("g")
+      .selectAll("line")
+      .data(y.ticks(3))
+      .join("line")
+      .attr("class", "grid")
+      .attr("x1", 0)
+      .attr("x2", panelWidth)
+      .attr("y1", d => y(d))
+      .attr("y2", d => y(d))
+      .attr("stroke", "#e5e5e5ff");
+
+    // A shared scale needs its axis only in the first column
+    if (scaleMode === "independent" || i % columnCount === 0) {
+      g.append("g")
+        .attr("class", "axes")
+        .call(d3.axisLeft(y).ticks(3).tickFormat(d3.format("~s")));
+    }
+
+    g.append("g")
+      .attr("class", "axes")
+      .attr("transform", `translate(0,${panelHeight})`)
+      .call(
+        d3.axisBottom(x)
+          .tickValues(ticks)
+          .tickFormat(m => m.endsWith("M01") ? m.split("M")[0] : monthNames[+m.split("M")[1] - 1])
+      );
+
+    g.append("text")
+      .attr("class", "panel-title")
+      .attr("y", -6)
+      .style("font-size", "12px")
+      .style("font-weight", "500")
+      .style("fill", s.color)
+      .text(s.name);
+
+    // Baseline of the indexed series
+    if (indexed) {
+      g.append("line")
+        .attr("class", "index-line")
+        .attr("x1", 0)
+        .attr("x2", panelWidth)
+        .attr("y1", y(100))
+        .attr("y2", y(100))
+        .attr("stroke", "#999")
+        .attr("stroke-dasharray", "3,3");
+    }
+
+    if (!s.values.some(d => d.value !== null)) {
+      g.append("text")
+        .attr("x", panelWidth / 2)
+        .attr("y", panelHeight / 2)
+        .attr("text-anchor", "middle")
+        .style("fill", "#999")
+        .text(indexed ? "No base value to index" : "No data");
+      return;
+    }
+
+    const center = d => x(d.Month) + x.bandwidth() / 2;
+
+    g.append("path")
+      .datum(s.values)
+      .attr("class", "panel-area")
+      .attr("fill", d3.color(s.color).copy({ opacity: 0.15 }))
+      .attr("d", d3.area()
+        .defined(d => d.value !== null)
+        .x(center)
+        .y0(panelHeight)
+        .y1(d => y(d.value)));
+
+    g.append("path")
+      .datum(s.values)
+      .attr("class", "panel-line")
+      .attr("fill", "none")
+      .attr("stroke", s.color)
+      .attr("stroke-width", 1.5)
+      .attr("d", d3.line()
+        .defined(d => d.value !== null)
+        .x(center)
+        .y(d => y(d.value)));
+  });
+
+  const axisLabel = indexed
+    ? `${viewMetrics[metric]} (index, ${gridIndexBases[indexBase]})`
+    : viewMetrics[metric];
+
+  chartG.append("text")
+    .attr("class", "axis-label")
+    .attr("transform", "rotate(-90)")
+    .attr("x", -innerHeight / 2)
+    .attr("y", -60)
+    .attr("text-anchor", "middle")
+    .text(axisLabel);
+
+  d3.select("#chart-title")
+    .text(`${viewMetrics[metric]} by Municipality (${gridScales[scaleMode]})`);
+
+
+  /* -------------------------
+     SYNCHRONIZED HOVER LINE
+     ------------------------- */
+
+  const hoverLines = panels.append("line")
+    .attr("class", "crosshair")
+    .attr("y1", 0)
+    .attr("y2", panelHeight)
+    .attr("stroke", "#888")
+    .attr("stroke-dasharray", "3,3")
+    .style("pointer-events", "none")
+    .style("display", "none");
+
+  panels.append("rect")
+    .attr("class", "hover-layer")
+    .attr("width", panelWidth)
+    .attr("height", panelHeight)
+    .attr("fill", "transparent")
+    .style("pointer-events", "all")
+    .on("mousemove", function (event) {
+      const [px] = d3.pointer(event, this);
+      const month = d3.least(months, m => Math.abs(x(m) + x.bandwidth() / 2 - px));
+
+      hoverLines
+        .attr("x1", x(month) + x.bandwidth() / 2)
+        .attr("x2", x(month) + x.bandwidth() / 2)
+        .style("display", null);
+
+      const tableRows = series.map(s => {
+        const value = s.values.find(d => d.Month === month)?.value;
+        return `<tr><td style="color:${s.color}">${escapeHtml(s.name)}</td>` +
+          `<td>${value == null ? "n/a" : format(value)}</td></tr>`;
+      });
+
+      chartTooltip
+        .style("display", "block")
+        .html(
+          `<strong>${formatMonthLabel(month)}</strong> – ${axisLabel}` +
+          `<table class="crosshair-table">${tableRows.join("")}</table>`
+        )
+        .style("left", `${event.pageX + 16}px`)
+        .style("top", `${event.pageY - 28}px`);
+    })
+    .on("mouseleave", () => {
+      hoverLines.style("display", "none");
+      chartTooltip.style("display", "none");
+    });
+
+
+  /* -------------------------
+     PLOTTED TABLE
+     ------------------------- */
+
+  return {
+    columns: ["Month", ...names],
+    rows: months.map(m => Object.fromEntries([
+      ["Month", monthToIso(m)],
+      ...series.map(s => [s.name, s.values.find(d => d.Month === m)?.value ?? null])
+    ]))
+  };
+}
+
+
+/* =========================================================
+   SEASONAL & YEAR-OVER-YEAR VIEWS
+   ========================================================= */
+
+// Metrics that can be compared across years (dataset field → label)
+const viewMetrics = {
+  Arrivals:       "Arrivals",
+  Overnights:     "Overnight stays",
+  AverageStay:    "Average stay (nights)",
+  OccupancyRate:  "Bed occupancy rate (%)",
+  ArrivalsPerKm2: "Arrivals per km²"
+};
+
+// Chart views comparing one selected metric
+const metricViews = ["seasonal", "yoy", "anomalies", "municipalities"];
+
+// Chart views built from the station data (redrawn when the weather changes)
+const weatherViews = ["correlation", "anomalies", "panels"];
+
+// Short month names for the Jan–Dec axis
+const monthNames = ["Jan", "Feb", "Mar", "Apr", "May", "Jun",
+                    "Jul", "Aug", "Sep", "Oct", "Nov", "Dec"];
+
+
+/**
+ * Combine several municipality datasets into one monthly series
+ * @param {Array<Array<Object>>} datasets - Chart datasets
+ * @returns {Array<Object>} Single dataset (summed per month)
+ */
+function combineDatasets(datasets) {
+  if (datasets.length === 1) return datasets[0];
+
+  const names = datasets.map(d => d[0].Municipality);
+  const name = names.join(" + ");
+
+  const combined = d3.rollups(
+    datasets.flat(),
+    rows => {
+      const arrivals   = d3.sum(rows, r => r.Arrivals);
+      const overnights = d3.sum(rows, r => r.Overnights);
+
+      return {
+        Municipality: name,
+        Month: rows[0].Month,
+        Arrivals: arrivals,
+        Overnights: overnights,
+        AverageStay: arrivals ? overnights / arrivals : 0
+      };
+    },
+    d => d.Month
+  )
+    .map(([, d]) => d)
+    .sort((a, b) => d3.ascending(a.Month, b.Month));
+
+  addCapacityMetrics(combined, names);
+  return combined;
+}
+
+
+/**
+ * Compute the change against the same month of the previous year
+ * @param {Array<Object>} dataset - Monthly dataset of one municipality
+ * @param {string} metric - Dataset field (Arrivals, Overnights, AverageStay)
+ * @returns {Array<Object>} Rows with Month and Change (%, null if undefined)
+ */
+function yoyChange(dataset, metric) {
+  const byMonth = new Map(dataset.map(d => [d.Month, d[metric]]));
+
+  return dataset.map(d => {
+    const previous = byMonth.get(previousYearMonth(d.Month));
+
+    return {
+      Municipality: d.Municipality,
+      Month: d.Month,
+      Change: previous && d[metric] !== null
+        ? (d[metric] - previous) / previous * 100
+        : null
+    };
+  });
+}
+
+
+// Draw a color legend (one row per entry) in the top-left chart corner
+function drawViewLegend(entries) {
+  const rowHeight = 22;
+
+  const rows = chartG.append("g")
+    .attr("class", "legend-municipalities")
+    .attr("transform", "translate(20, 0)")
+    .selectAll("g.row")
+    .data(entries)
+    .join("g")
+    .attr("class", "row")
+    .attr("transform", (d, i) => `translate(0, ${i * rowHeight})`);
+
+  rows.append("rect")
+    .attr("width", 14)
+    .attr("height", 14)
+    .attr("rx", 3)
+    .attr("ry", 3)
+    .attr("fill", d => d.color);
+
+  rows.append("text")
+    .attr("x", 20)
+    .attr("y", 11)
+    .text(d => d.label)
+    .style("font-size", "12px")
+    .style("fill", "#333");
+}
+
+
+// Draw horizontal gridlines for a y-scale
+function drawViewGrid(y) {
+  chartG.append("g")
+    .selectAll("line")
+    .data(y.ticks(6))
+    .join("line")
+    .attr("class", "grid")
+    .attr("x1", 0)
+    .attr("x2", innerWidth)
+    .attr("y1", d => y(d))
+    .attr("y2", d => y(d))
+    .attr("stroke", "#e5e5e5ff");
+}
+
+
+// Draw x- and y-axis labels
+function drawViewAxisLabels(xLabel, yLabel) {
+  chartG.append("text")
+    .attr("class", "axis-label")
+    .attr("x", innerWidth / 2)
+    .attr("y", innerHeight + 45)
+    .attr("text-anchor", "middle")
+    .text(xLabel);
+
+  chartG.append("text")
+    .attr("class", "axis-label")
+    .attr("transform", "rotate(-90)")
+    .attr("x", -innerHeight / 2)
+    .attr("y", -60)
+    .attr("text-anchor", "middle")
+    .text(yLabel);
+}
+
+
+/**
+ * Seasonal overlay: Jan–Dec x-axis with one line per year
+ * (selected municipalities are combined into one series)
+ * @param {Array<Array<Object>>} datasets - Chart datasets
+ * @param {string} metric - Dataset field to compare
+ * @returns {{columns: Array<string>, rows: Array<Object>}} Plotted table (month × year)
+ */
+function drawSeasonalChart(datasets, metric) {
+  const series = combineDatasets(datasets);
+  const name = series[0]?.Municipality;
+
+  // One group of monthly rows per year (years without values are skipped)
+  const byYear = d3.groups(series, d => d.Month.split("M")[0])
+    .filter(([, rows]) => rows.some(d => d[metric] !== null));
+  const years = byYear.map(([year]) => year);
+
+  const yearColor = d3.scaleOrdinal(years, d3.schemeTableau10);
+
+
+  /* -------------------------
+     SCALES & AXES
+     ------------------------- */
+
+  const x = d3.scalePoint()
+    .domain(d3.range(1, 13))
+    .range([0, innerWidth])
+    .padding(0.5);
+
+  const y = d3.scaleLinear()
+    .domain([0, (d3.max(series, d => d[metric]) || 1) * 1.1])
+    .range([innerHeight, 0])
+    .nice();
+
+  drawViewGrid(y);
+
+  const axesLayer = chartG.append("g").attr("class", "axes");
+
+  axesLayer.append("g")
+    .attr("transform", `translate(0,${innerHeight})`)
+    .call(d3.axisBottom(x).tickFormat(m => monthNames[m - 1]));
+
+  axesLayer.append("g")
+    .call(d3.axisLeft(y).ticks(6));
+
+  drawViewAxisLabels("Month", viewMetrics[metric]);
+
+
+  /* -------------------------
+     YEAR LINES
+     ------------------------- */
+
+  const line = d3.line()
+    .defined(d => d[metric] !== null)
+    .x(d => x(+d.Month.split("M")[1]))
+    .y(d => y(d[metric]));
+
+  const plotLayer = chartG.append("g").attr("class", "plot-layer");
+
+  byYear.forEach(([year, rows]) => {
+    plotLayer.append("path")
+      .datum(rows)
+      .attr("class", `line-year year-${year}`)
+      .attr("fill", "none")
+      .attr("stroke", yearColor(year))
+      .attr("stroke-width", 2)
+      .attr("d", line);
+
+    plotLayer.selectAll(`.dot-year-${year}`)
+      .data(rows.filter(d => d[metric] !== null))
+      .join("circle")
+      .attr("class", `dot-year-${year}`)
+      .attr("cx", d => x(+d.Month.split("M")[1]))
+      .attr("cy", d => y(d[metric]))
+      .attr("r", 3)
+      .attr("fill", yearColor(year));
+  });
+
+  drawViewLegend(years.map(year => ({ label: year, color: yearColor(year) })));
+
+  d3.select("#chart-title")
+    .text(`Seasonal Comparison of ${viewMetrics[metric]}${name ? ` – ${name}` : ""}`);
+
+
+  /* -------------------------
+     PLOTTED TABLE
+     ------------------------- */
+
+  return {
+    columns: ["Month", ...years],
+    rows: monthNames.map((monthName, i) => Object.fromEntries([
+      ["Month", monthName],
+      ...byYear.map(([year, rows]) => [
+        year,
+        rows.find(d => +d.Month.split("M")[1] === i + 1)?.[metric] ?? null
+      ])
+    ]))
+  };
+}
+
+
+/**
+ * Year-over-year view: change against the same month of the previous
+ * year, one line per municipality
+ * @param {Array<Array<Object>>} datasets - Chart datasets
+ * @param {Array<string>} months - Month keys of the x-axis
+ * @param {string} metric - Dataset field to compare
+ */
+function drawYoyChart(datasets, months, metric) {
+  const monthSet = new Set(months);
+  const changes = datasets
+    .map(ds => yoyChange(ds, metric).filter(d => monthSet.has(d.Month)))
+    .filter(data => data.length > 0);
+  const values = changes.flat().filter(d => d.Change !== null);
+
+
+  /* -------------------------
+     SCALES & AXES
+     ------------------------- */
+
+  xScale.domain(months).range([0, innerWidth]);
+
+  const [minChange, maxChange] = d3.extent(values, d => d.Change);
+
+  const y = d3.scaleLinear()
+    .domain([Math.min(0, minChange ?? 0) * 1.1, Math.max(0, maxChange ?? 0) * 1.1])
+    .range([innerHeight, 0])
+    .nice();
+
+  drawViewGrid(y);
+
+  const axesLayer = chartG.append("g").attr("class", "axes");
+
+  axesLayer.append("g")
+    .attr("transform", `translate(0,${innerHeight})`)
+    .call(
+      d3.axisBottom(xScale)
+        .tickValues(monthTickValues(months))
+        .tickFormat(formatMonthLabel)
+    );
+
+  axesLayer.append("g")
+    .call(d3.axisLeft(y).ticks(6).tickFormat(d => `${d}%`));
+
+  // Zero line (no change)
+  chartG.append("line")
+    .attr("class", "zero-line")
+    .attr("x1", 0)
+    .attr("x2", innerWidth)
+    .attr("y1", y(0))
+    .attr("y2", y(0))
+    .attr("stroke", "#999");
+
+  drawViewAxisLabels(
+    "Month",
+    `${viewMetrics[metric]} – change vs. same month last year`
+  );
+
+
+  /* -------------------------
+     CHANGE LINES
+     ------------------------- */
+
+  const line = d3.line()
+    .defined(d => d.Change !== null)
+    .x(d => monthCenterPx(d.Month, xScale))
+    .y(d => y(d.Change));
+
+  const plotLayer = chartG.append("g").attr("class", "plot-layer");
+
+  changes.forEach(data => {
+    const muni = data[0].Municipality;
+    const color = muni === "All Municipalities Combined"
+      ? "black"
+      : colorScale(muni);
+
+    plotLayer.append("path")
+      .datum(data)
+      .attr("class", "line-yoy " + safeClassName(muni))
+      .attr("fill", "none")
+      .attr("stroke", color)
+      .attr("stroke-width", 1.5)
+      .attr("d", line);
+
+    plotLayer.selectAll(".dot-yoy-" + safeClassName(muni))
+      .data(data.filter(d => d.Change !== null))
+      .join("circle")
+      .attr("class", "dot-yoy-" + safeClassName(muni))
+      .attr("cx", d => monthCenterPx(d.Month, xScale))
+      .attr("cy", d => y(d.Change))
+      .attr("r", 3)
+      .attr("fill", color);
+  });
+
+  drawViewLegend(changes.map(data => ({
+    label: data[0].Municipality,
+    color: data[0].Municipality === "All Municipalities Combined"
+      ? "#264653"
+      : colorScale(data[0].Municipality)
+  })));
+
+  d3.select("#chart-title")
+    .text(`Year-over-Year Change in ${viewMetrics[metric]}`);
+}
+
+
+/* =========================================================
+   CLIMATE-NORMAL ANOMALIES
+   ========================================================= */
+
+// Years the month-of-year normals are computed over
+const normalYears = [2020, 2025];
+
+
+/**
+ * Deviation of every month from the mean of its calendar month
+ * over the normal period
+ * @param {Array<Object>} rows - Rows with a Month key
+ * @param {string} key - Value field
+ * @param {boolean} relative - Deviation in % of the normal instead of units
+ * @returns {Array<{Month: string, Value: number, Normal: number, Anomaly: number}>}
+ */
+function monthlyAnomalies(rows, key, relative = false) {
+  const valid = rows.filter(d =>
+    d.Month && typeof d[key] === "number" && Number.isFinite(d[key])
+  );
+
+  const normals = d3.rollup(
+    valid.filter(d => {
+      const year = +d.Month.split("M")[0];
+      return year >= normalYears[0] && year <= normalYears[1];
+    }),
+    v => d3.mean(v, d => d[key]),
+    d => d.Month.split("M")[1]
+  );
+
+  return valid
+    .filter(d => normals.has(d.Month.split("M")[1]))
+    .map(d => {
+      const normal = normals.get(d.Month.split("M")[1]);
+      const anomaly = relative
+        ? (normal ? (d[key] - normal) / normal * 100 : null)
+        : d[key] - normal;
+
+      return { Month: d.Month, Value: d[key], Normal: normal, Anomaly: anomaly };
+    })
+    .filter(d => d.Anomaly !== null);
+}
+
+
+// "+2.1 °C warmer"-style text of a deviation
+function formatAnomaly(value, unit) {
+  return `${d3.format("+.1f")(value)}${unit === "%" ? "%" : unit ? ` ${unit}` : ""}`;
+}
+
+
+/**
+ * Anomaly view: tourism as % deviation from its typical month (lines)
+ * and the weather attribute as deviation from its climate normal
+ * (diverging bars), both on one time axis
+ * @param {Array<Array<Object>>} datasets - Chart datasets
+ * @param {Array<string>} months - Month keys of the x-axis
+ * @param {string} metric - Dataset field of the tourism series
+ * @returns {{columns: Array<string>, rows: Array<Object>}} Plotted table
+ */
+function drawAnomalyChart(datasets, months, metric) {
+  const monthSet = new Set(months);
+
+  const tourism = datasets.map(ds => ({
+    name: ds[0].Municipality,
+    values: monthlyAnomalies(ds, metric, true).filter(d => monthSet.has(d.Month))
+  }));
+
+  const attrKey = activeWeatherAttribute;
+  const unit = attrKey ? weatherUnit(attrKey) : "";
+  const weather = attrKey
+    ? visibleWeatherStations().map(({ station, data }) => ({
+        station,
+        values: monthlyAnomalies(data, attrKey).filter(d => monthSet.has(d.Month))
+      }))
+    : [];
+
+  const seriesColor = name => name === "All Municipalities Combined"
+    ? "black"
+    : colorScale(name);
+
+
+  /* -------------------------
+     SCALES & AXES
+     ------------------------- */
+
+  xScale.domain(months).range([0, innerWidth]);
+
+  // Symmetric domains keep zero (the normal) in the middle
+  const tourismMax = d3.max(tourism, s => d3.max(s.values, d => Math.abs(d.Anomaly))) || 1;
+  const y = d3.scaleLinear()
+    .domain([-tourismMax * 1.1, tourismMax * 1.1])
+    .range([innerHeight, 0])
+    .nice();
+
+  const weatherMax = d3.max(weather, s => d3.max(s.values, d => Math.abs(d.Anomaly))) || 1;
+  const yWeather = d3.scaleLinear()
+    .domain([-weatherMax * 1.1, weatherMax * 1.1])
+    .range([innerHeight, 0])
+    .nice();
+
+  drawViewGrid(y);
+  drawMarketTimeAxis(months);
+
+  chartG.append("g")
+    .attr("class", "axes")
+    .call(d3.axisLeft(y).ticks(6).tickFormat(d => `${d}%`));
+
+  chartG.append("line")
+    .attr("class", "zero-line")
+    .attr("x1", 0)
+    .attr("x2", innerWidth)
+    .attr("y1", y(0))
+    .attr("y2", y(0))
+    .attr("stroke", "#999");
+
+  drawViewAxisLabels("Month", `${viewMetrics[metric]} vs. typical month (%)`);
+
+  if (weather.length > 0) {
+    chartG.append("g")
+      .attr("class", "axes")
+      .attr("transform", `translate(${innerWidth},0)`)
+      .call(d3.axisRight(yWeather).ticks(6).tickFormat(d3.format("+")));
+
+    chartG.append("text")
+      .attr("class", "axis-label")
+      .attr("transform", `translate(${innerWidth + 45}, ${innerHeight / 2}) rotate(90)`)
+      .attr("text-anchor", "middle")
+      .text(`${weatherAttributeLabel(attrKey)} vs. normal`);
+  }
+
+
+  /* -------------------------
+     WEATHER ANOMALY BARS
+     ------------------------- */
+
+  // Diverging colors (above normal red, below blue) for a single station,
+  // station colors when several are compared
+  const divergingColor = d3.scaleDiverging(t => d3.interpolateRdBu(1 - t))
+    .domain([-weatherMax, 0, weatherMax]);
+
+  const xInner = d3.scaleBand()
+    .domain(weather.map(s => s.station.id))
+    .range([0, xScale.bandwidth()]);
+
+  const tooltipHandlers = selection => selection
+    .on("mousemove", (event, d) => {
+      chartTooltip
+        .style("display", "block")
+        .style("left", event.pageX + 12 + "px")
+        .style("top", event.pageY - 28 + "px")
+        .html(d.tooltip);
+    })
+    .on("mouseout", () => chartTooltip.style("display", "none"));
+
+  weather.forEach(({ station, values }) => {
+    chartG.append("g")
+      .attr("class", "anomaly-bars " + safeClassName(station.id))
+      .selectAll("rect")
+      .data(values.map(d => ({
+        ...d,
+        tooltip: `<strong>${escapeHtml(station.name)}</strong><br>` +
+          `${formatMonthLabel(d.Month)}: ${escapeHtml(formatAnomaly(d.Anomaly, unit))} vs. typical ` +
+          `${monthNames[+d.Month.split("M")[1] - 1]}`
+      })))
+      .join("rect")
+      .attr("x", d => xScale(d.Month) + xInner(station.id))
+      .attr("width", xInner.bandwidth())
+      .attr("y", d => yWeather(Math.max(0, d.Anomaly)))
+      .attr("height", d => Math.abs(yWeather(d.Anomaly) - yWeather(0)))
+      .attr("fill", d => weather.length > 1
+        ? stationColor(station.id)
+        : divergingColor(d.Anomaly))
+      .attr("fill-opacity", 0.6)
+      .call(tooltipHandlers);
+  });
+
+
+  /* -------------------------
+     TOURISM ANOMALY LINES
+     ------------------------- */
+
+  const plotLayer = chartG.append("g").attr("class", "plot-layer");
+
+  tourism.forEach(({ name, values }) => {
+    const color = seriesColor(name);
+
+    plotLayer.append("path")
+      .datum(values)
+      .attr("class", "line-anomaly " + safeClassName(name))
+      .attr("fill", "none")
+      .attr("stroke", color)
+      .attr("stroke-width", 1.5)
+      .attr("d", d3.line()
+        .x(d => monthCenterPx(d.Month, xScale))
+        .y(d => y(d.Anomaly)));
+
+    plotLayer.selectAll(".dot-anomaly-" + safeClassName(name))
+      .data(values.map(d => ({
+        ...d,
+        tooltip: `<strong>${escapeHtml(name)}</strong><br>` +
+          `${formatMonthLabel(d.Month)}: ${viewMetrics[metric]} ` +
+          `${formatAnomaly(d.Anomaly, "%")} vs. typical ` +
+          `${monthNames[+d.Month.split("M")[1] - 1]}`
+      })))
+      .join("circle")
+      .attr("class", "dot-anomaly-" + safeClassName(name))
+      .attr("cx", d => monthCenterPx(d.Month, xScale))
+      .attr("cy", d => y(d.Anomaly))
+      .attr("r", 3)
+      .attr("fill", color)
+      .call(tooltipHandlers);
+  });
+
+  drawViewLegend(tourism.map(s => ({
+    label: s.name,
+    color: s.name === "All Municipalities Combined" ? "#264653" : colorScale(s.name)
+  })));
+
+  drawMarketLegend(
+    weather.length > 1
+      ? weather.map(s => ({ label: stationLabel(s.station), color: stationColor(s.station.id) }))
+      : weather.map(s => [
+          { label: `${s.station.name}: above normal`, color: divergingColor(weatherMax) },
+          { label: `${s.station.name}: below normal`, color: divergingColor(-weatherMax) }
+        ]).flat(),
+    65
+  );
+
+  d3.select("#chart-title").text(
+    `Anomalies vs. ${normalYears[0]}–${normalYears[1]} Monthly Normals` +
+    (attrKey ? ` – ${viewMetrics[metric]} and ${attrKey}` : ` – ${viewMetrics[metric]}`)
+  );
+
+
+  /* -------------------------
+     PLOTTED TABLE
+     ------------------------- */
+
+  const rangeMonths = activeMonths();
+  const columns = [
+    "Month",
+    ...tourism.map(s => `${s.name} – ${viewMetrics[metric]} vs. normal (%)`),
+    ...weather.map(s => `${s.station.name} – ${attrKey} vs. normal`)
+  ];
+
+  const byMonth = series => new Map(series.values.map(d => [d.Month, d.Anomaly]));
+  const tourismByMonth = tourism.map(byMonth);
+  const weatherByMonth = weather.map(byMonth);
+
+  return {
+    columns,
+    rows: rangeMonths.map(m => {
+      const row = { "Month": monthToIso(m) };
+      const values = [...tourismByMonth, ...weatherByMonth]
+        .map(s => s.has(m) ? +s.get(m).toFixed(2) : null);
+
+      columns.slice(1).forEach((c, i) => { row[c] = values[i]; });
+      return row;
+    })
+  };
+}
+
+
+/* =========================================================
+   SOURCE MARKETS (MARKET MIX, RANKING, DOMESTIC VS. FOREIGN)
+   ========================================================= */
+
+// Total columns that are not source markets themselves
+const marketTotals = ["All", "Foreign"];
+
+// Chart views that use the market controls
+const marketViews = ["markets", "marketRanking", "countries", "domestic"];
+
+// Measures available for market views (column suffix → label)
+const marketMeasures = {
+  "Arrivals":        "Arrivals",
+  "Overnight stays": "Overnight stays"
+};
+
+// Individual source markets (set after loading the tourism data)
+let marketCountries = [];
+
+
+/**
+ * Sum a market measure per month over the selected municipalities
+ * (all municipalities when none is selected)
+ * @param {Array<string>} countries - Source markets
+ * @param {string} measure - Key of marketMeasures
+ * @param {Array<string>} months - Month keys
+ * @returns {Array<Object>} One row per month: { Month, [country]: value }
+ */
+function marketMonthlyValues(countries, measure, months) {
+  const selected = Array.from(activeMunicipalities)
+    .map(municipalityKey);
+
+  const rows = tourismData.filter(d =>
+    selected.length === 0 ||
+    selected.includes(municipalityKey(d.Municipality))
+  );
+
+  const byMonth = d3.group(rows, d => d.Month);
+
+  return months.map(m => {
+    const monthRows = byMonth.get(m) ?? [];
+    const row = { Month: m };
+
+    countries.forEach(c => {
+      row[c] = d3.sum(monthRows, r => r[`${c} (${measure})`]);
     });
-  }
+
+    return row;
+  });
+}
 
 
-  /* =========================
-     SCALE DOMAINS
-     ========================= */
+/**
+ * Rank source markets by their total over a set of months
+ * @param {string} measure - Key of marketMeasures
+ * @param {Array<string>} months - Month keys
+ * @returns {Array<{country: string, value: number}>} Descending by value
+ */
+function rankMarkets(measure, months) {
+  const monthly = marketMonthlyValues(marketCountries, measure, months);
+
+  return marketCountries
+    .map(c => ({ country: c, value: d3.sum(monthly, r => r[c]) }))
+    .sort((a, b) => d3.descending(a.value, b.value));
+}
+
+
+// Label of the municipalities the market views are computed for
+function marketScopeLabel() {
+  return activeMunicipalities.size === 0
+    ? "All Municipalities Combined"
+    : Array.from(activeMunicipalities).join(", ");
+}
+
+
+// Draw the month x-axis of the market timelines
+function drawMarketTimeAxis(months) {
+  chartG.append("g")
+    .attr("class", "axes")
+    .attr("transform", `translate(0,${innerHeight})`)
+    .call(
+      d3.axisBottom(xScale)
+        .tickValues(monthTickValues(months))
+        .tickFormat(formatMonthLabel)
+    );
+}
+
+
+// Draw a legend in the right chart margin (offset from the plot edge)
+function drawMarketLegend(entries, offset = 20) {
+  const rowHeight = 18;
+
+  const rows = chartG.append("g")
+    .attr("class", "legend-markets")
+    .attr("transform", `translate(${innerWidth + offset}, 0)`)
+    .selectAll("g.row")
+    .data(entries)
+    .join("g")
+    .attr("class", "row")
+    .attr("transform", (d, i) => `translate(0, ${i * rowHeight})`);
+
+  rows.append("rect")
+    .attr("width", 12)
+    .attr("height", 12)
+    .attr("rx", 2)
+    .attr("fill", d => d.color);
+
+  rows.append("text")
+    .attr("x", 18)
+    .attr("y", 10)
+    .text(d => d.label)
+    .style("font-size", "11px")
+    .style("fill", "#333");
+}
+
+
+/**
+ * Market mix: stacked area of the top-N markets plus "Other markets"
+ * @param {Array<string>} months - Month keys of the x-axis
+ * @param {string} measure - Key of marketMeasures
+ * @param {number} topN - Number of individually shown markets
+ * @param {boolean} normalize - Draw shares (100% stacked)
+ * @returns {{columns: Array<string>, rows: Array<Object>}} Plotted table
+ */
+function drawMarketMixChart(months, measure, topN, normalize) {
+
+  // Top markets are ranked over the brushed time range
+  const top = rankMarkets(measure, activeMonths())
+    .slice(0, topN)
+    .map(d => d.country);
+
+  const others = marketCountries.filter(c => !top.includes(c));
+  const keys = [...top, "Other markets"];
+
+  const monthly = marketMonthlyValues(marketCountries, measure, months)
+    .map(row => {
+      const stackRow = { Month: row.Month };
+      top.forEach(c => { stackRow[c] = row[c]; });
+      stackRow["Other markets"] = d3.sum(others, c => row[c]);
+      return stackRow;
+    });
+
+  const series = d3.stack()
+    .keys(keys)
+    .offset(normalize ? d3.stackOffsetExpand : d3.stackOffsetNone)(monthly);
+
+  const marketColor = d3.scaleOrdinal(top, d3.schemeTableau10)
+    .unknown("#bbb");
+
+
+  /* -------------------------
+     SCALES & AXES
+     ------------------------- */
 
-  // Define x-scale domain using all available months
   xScale.domain(months).range([0, innerWidth]);
 
-  // Find maximum value among arrivals and overnight stays
-  const maxArrOver = d3.max(
-    datasets.flat(),
-    d => Math.max(d.Arrivals, d.Overnights)
-  );
+  const y = d3.scaleLinear()
+    .domain([0, normalize ? 1 : d3.max(series.at(-1), d => d[1]) * 1.05])
+    .range([innerHeight, 0])
+    .nice();
 
-  // Find maximum number of beds (yearly data)
-  const maxBeds = d3.max(
-    bedDatasets.flat(),
-    d => d.Beds
+  drawViewGrid(y);
+  drawMarketTimeAxis(months);
+
+  chartG.append("g")
+    .attr("class", "axes")
+    .call(d3.axisLeft(y).ticks(6).tickFormat(normalize ? d3.format(".0%") : null));
+
+  drawViewAxisLabels(
+    "Month",
+    normalize ? `Share of ${marketMeasures[measure].toLowerCase()}` : marketMeasures[measure]
   );
 
-  // Use the larger of tourism values and bed capacity
-  // Add 10% padding for visual spacing
-  const yMax = Math.max(maxArrOver, maxBeds) * 1.1;
 
-  // Configure main y-scale (arrivals / overnights / beds)
-  yScale
-    .domain([0, yMax])
-    .range([innerHeight, 0]);
+  /* -------------------------
+     STACKED AREAS
+     ------------------------- */
 
-  // Find maximum average stay value
-  const maxAvgStay = d3.max(
-    datasets.flat(),
-    d => d.AverageStay
+  const area = d3.area()
+    .x(d => monthCenterPx(d.data.Month, xScale))
+    .y0(d => y(d[0]))
+    .y1(d => y(d[1]))
+    .defined(d => !isNaN(d[1]));
+
+  chartG.append("g")
+    .attr("class", "plot-layer")
+    .selectAll("path")
+    .data(series)
+    .join("path")
+    .attr("class", d => "area-market " + safeClassName(d.key))
+    .attr("fill", d => marketColor(d.key))
+    .attr("fill-opacity", 0.85)
+    .attr("stroke", "#fff")
+    .attr("stroke-width", 0.5)
+    .attr("d", area);
+
+  // Legend lists the top of the stack first
+  drawMarketLegend(
+    keys.slice().reverse().map(k => ({ label: k, color: marketColor(k) }))
   );
 
-  // Configure secondary y-scale for average stay
-  // Add 20% padding to avoid clipping
-  yAvgScale.domain([0, maxAvgStay * 1.2]);
+  d3.select("#chart-title")
+    .text(`Source Market Mix – ${marketScopeLabel()}`);
 
 
-  /* =========================
-     AXES
-     ========================= */
+  /* -------------------------
+     PLOTTED TABLE
+     ------------------------- */
+
+  const rangeSet = new Set(activeMonths());
+
+  const columns = ["Month", ...keys];
+  const rows = monthly
+    .filter(row => rangeSet.has(row.Month))
+    .map(row => {
+      const total = d3.sum(keys, k => row[k]);
+      const out = { Month: monthToIso(row.Month) };
+
+      keys.forEach(k => {
+        out[k] = normalize
+          ? (total ? +(row[k] / total * 100).toFixed(2) : null)
+          : row[k];
+      });
+
+      return out;
+    });
+
+  return { columns, rows };
+}
+
+
+/**
+ * Market ranking: horizontal bars of markets for the brushed period
+ * @param {string} measure - Key of marketMeasures
+ * @param {number} limit - Maximum number of bars
+ * @returns {{columns: Array<string>, rows: Array<Object>}} Plotted table
+ */
+function drawMarketRankingChart(measure, limit) {
+  const months = activeMonths();
+  const ranking = rankMarkets(measure, months).filter(d => d.value > 0);
+  const total = d3.sum(ranking, d => d.value);
+  const shown = ranking.slice(0, limit);
+
+
+  /* -------------------------
+     SCALES & AXES
+     ------------------------- */
+
+  const y = d3.scaleBand()
+    .domain(shown.map(d => d.country))
+    .range([0, innerHeight])
+    .padding(0.15);
+
+  const x = d3.scaleLinear()
+    .domain([0, d3.max(shown, d => d.value) || 1])
+    .range([0, innerWidth - 60])
+    .nice();
+
+  chartG.append("g")
+    .selectAll("line")
+    .data(x.ticks(6))
+    .join("line")
+    .attr("class", "grid")
+    .attr("x1", d => x(d))
+    .attr("x2", d => x(d))
+    .attr("y1", 0)
+    .attr("y2", innerHeight)
+    .attr("stroke", "#e5e5e5ff");
 
-  // Create a dedicated group for axes
   const axesLayer = chartG.append("g").attr("class", "axes");
 
-  // X-axis (months)
   axesLayer.append("g")
     .attr("transform", `translate(0,${innerHeight})`)
-    .call(
-      d3.axisBottom(xScale)
-        // Show every third month to avoid label clutter
-        .tickValues(months.filter((d, i) => i % 3 === 0))
-        .tickFormat(d => {
-          const [year, month] = d.split("M");
-          const monthNames = ["Jan", "Feb", "Mar", "Apr", "May", "Jun",
-                              "Jul", "Aug", "Sep", "Oct", "Nov", "Dec"];
-          return monthNames[+month - 1];
-        })
-    );
+    .call(d3.axisBottom(x).ticks(6));
+
+  axesLayer.append("g")
+    .call(d3.axisLeft(y).tickSize(0))
+    .call(g => g.select(".domain").remove())
+    .call(g => g.selectAll("text").style("font-size", "11px"));
+
+  chartG.append("text")
+    .attr("class", "axis-label")
+    .attr("x", innerWidth / 2)
+    .attr("y", innerHeight + 45)
+    .attr("text-anchor", "middle")
+    .text(`${marketMeasures[measure]}, ${formatPeriod(months)}`);
+
+
+  /* -------------------------
+     BARS & VALUE LABELS
+     ------------------------- */
+
+  const bars = chartG.append("g")
+    .attr("class", "plot-layer")
+    .selectAll("g")
+    .data(shown)
+    .join("g")
+    .attr("transform", d => `translate(0,${y(d.country)})`);
+
+  bars.append("rect")
+    .attr("class", d => "bar-market " + safeClassName(d.country))
+    .attr("width", d => x(d.value))
+    .attr("height", y.bandwidth())
+    .attr("fill", (d, i) => i < 10 ? d3.schemeTableau10[i] : "#bbb");
+
+  bars.append("text")
+    .attr("x", d => x(d.value) + 4)
+    .attr("y", y.bandwidth() / 2)
+    .attr("dy", "0.35em")
+    .style("font-size", "11px")
+    .style("fill", "#333")
+    .text(d => `${d.value.toLocaleString()} (${d3.format(".1%")(d.value / total)})`);
+
+  d3.select("#chart-title")
+    .text(`Source Market Ranking – ${marketScopeLabel()}`);
+
+  return {
+    columns: ["Rank", "Country", marketMeasures[measure], "Share (%)"],
+    rows: ranking.map((d, i) => ({
+      "Rank": i + 1,
+      "Country": d.country,
+      [marketMeasures[measure]]: d.value,
+      "Share (%)": +(d.value / total * 100).toFixed(2)
+    }))
+  };
+}
+
+
+/**
+ * Country comparison: one line per selected source market
+ * @param {Array<string>} months - Month keys of the x-axis
+ * @param {Array<string>} countries - Selected source markets
+ * @param {string} measure - Key of marketMeasures
+ * @returns {{columns: Array<string>, rows: Array<Object>}} Plotted table
+ */
+function drawCountryComparisonChart(months, countries, measure) {
+  const monthly = marketMonthlyValues(countries, measure, months);
+  const countryColor = d3.scaleOrdinal(countries, d3.schemeTableau10);
+
+
+  /* -------------------------
+     SCALES & AXES
+     ------------------------- */
+
+  xScale.domain(months).range([0, innerWidth]);
+
+  const y = d3.scaleLinear()
+    .domain([0, (d3.max(monthly, r => d3.max(countries, c => r[c])) || 1) * 1.1])
+    .range([innerHeight, 0])
+    .nice();
+
+  drawViewGrid(y);
+  drawMarketTimeAxis(months);
+
+  chartG.append("g")
+    .attr("class", "axes")
+    .call(d3.axisLeft(y).ticks(6));
+
+  drawViewAxisLabels("Month", marketMeasures[measure]);
+
+
+  /* -------------------------
+     COUNTRY LINES
+     ------------------------- */
+
+  const plotLayer = chartG.append("g").attr("class", "plot-layer");
+
+  countries.forEach(c => {
+    plotLayer.append("path")
+      .datum(monthly)
+      .attr("class", "line-country " + safeClassName(c))
+      .attr("fill", "none")
+      .attr("stroke", countryColor(c))
+      .attr("stroke-width", 1.5)
+      .attr("d", d3.line()
+        .x(d => monthCenterPx(d.Month, xScale))
+        .y(d => y(d[c])));
+  });
+
+  drawMarketLegend(countries.map(c => ({ label: c, color: countryColor(c) })));
+
+  d3.select("#chart-title")
+    .text(`${marketMeasures[measure]} by Source Market – ${marketScopeLabel()}`);
+
+  const rangeSet = new Set(activeMonths());
+
+  return {
+    columns: ["Month", ...countries],
+    rows: monthly
+      .filter(row => rangeSet.has(row.Month))
+      .map(row => ({ ...row, Month: monthToIso(row.Month) }))
+  };
+}
+
+
+/**
+ * Domestic vs. foreign: monthly bars (stacked or side by side) with
+ * the foreign share drawn as a line on a right axis
+ * @param {Array<string>} months - Month keys of the x-axis
+ * @param {string} measure - Key of marketMeasures
+ * @param {boolean} grouped - Draw bars side by side instead of stacked
+ * @returns {{columns: Array<string>, rows: Array<Object>}} Plotted table
+ */
+function drawDomesticForeignChart(months, measure, grouped) {
+  const keys = ["Slovenia", "Foreign"];
+  const labels = { Slovenia: "Domestic", Foreign: "Foreign" };
+  const colors = { Slovenia: "#2a9d8f", Foreign: "#e76f51" };
+
+  const monthly = marketMonthlyValues(keys, measure, months)
+    .map(row => {
+      const total = row.Slovenia + row.Foreign;
+      return { ...row, ForeignShare: total ? row.Foreign / total * 100 : null };
+    });
+
+
+  /* -------------------------
+     SCALES & AXES
+     ------------------------- */
+
+  xScale.domain(months).range([0, innerWidth]);
+
+  const y = d3.scaleLinear()
+    .domain([0, d3.max(monthly, r => grouped
+      ? Math.max(r.Slovenia, r.Foreign)
+      : r.Slovenia + r.Foreign) * 1.1 || 1])
+    .range([innerHeight, 0])
+    .nice();
+
+  const yShare = d3.scaleLinear()
+    .domain([0, 100])
+    .range([innerHeight, 0]);
+
+  drawViewGrid(y);
+  drawMarketTimeAxis(months);
+
+  chartG.append("g")
+    .attr("class", "axes")
+    .call(d3.axisLeft(y).ticks(6));
+
+  chartG.append("g")
+    .attr("class", "axes")
+    .attr("transform", `translate(${innerWidth},0)`)
+    .call(d3.axisRight(yShare).ticks(5).tickFormat(d => `${d}%`));
+
+  drawViewAxisLabels("Month", marketMeasures[measure]);
+
+  chartG.append("text")
+    .attr("class", "axis-label")
+    .attr("transform", `translate(${innerWidth + 45}, ${innerHeight / 2}) rotate(90)`)
+    .attr("text-anchor", "middle")
+    .text("Foreign share (%)");
+
+
+  /* -------------------------
+     BARS
+     ------------------------- */
+
+  const plotLayer = chartG.append("g").attr("class", "plot-layer");
+
+  if (grouped) {
+    const xInner = d3.scaleBand()
+      .domain(keys)
+      .range([0, xScale.bandwidth()]);
+
+    plotLayer.selectAll("g")
+      .data(monthly)
+      .join("g")
+      .attr("transform", d => `translate(${xScale(d.Month)},0)`)
+      .selectAll("rect")
+      .data(d => keys.map(k => ({ key: k, value: d[k] })))
+      .join("rect")
+      .attr("class", d => "bar-" + labels[d.key].toLowerCase())
+      .attr("x", d => xInner(d.key))
+      .attr("width", xInner.bandwidth())
+      .attr("y", d => y(d.value))
+      .attr("height", d => innerHeight - y(d.value))
+      .attr("fill", d => colors[d.key]);
+  } else {
+    plotLayer.selectAll("g")
+      .data(d3.stack().keys(keys)(monthly))
+      .join("g")
+      .attr("fill", d => colors[d.key])
+      .attr("class", d => "bar-" + labels[d.key].toLowerCase())
+      .selectAll("rect")
+      .data(d => d)
+      .join("rect")
+      .attr("x", d => xScale(d.data.Month))
+      .attr("width", xScale.bandwidth())
+      .attr("y", d => y(d[1]))
+      .attr("height", d => y(d[0]) - y(d[1]));
+  }
+
+
+  /* -------------------------
+     FOREIGN SHARE LINE
+     ------------------------- */
+
+  plotLayer.append("path")
+    .datum(monthly)
+    .attr("class", "line-foreign-share")
+    .attr("fill", "none")
+    .attr("stroke", "#264653")
+    .attr("stroke-width", 2)
+    .attr("d", d3.line()
+      .defined(d => d.ForeignShare !== null)
+      .x(d => monthCenterPx(d.Month, xScale))
+      .y(d => yShare(d.ForeignShare)));
+
+  // Right of the share axis and its label
+  drawMarketLegend([
+    { label: "Domestic (Slovenia)", color: colors.Slovenia },
+    { label: "Foreign", color: colors.Foreign },
+    { label: "Foreign share (%)", color: "#264653" }
+  ], 65);
+
+  d3.select("#chart-title")
+    .text(`Domestic vs. Foreign ${marketMeasures[measure]} – ${marketScopeLabel()}`);
+
+  const rangeSet = new Set(activeMonths());
+
+  return {
+    columns: ["Month", "Domestic", "Foreign", "Foreign share (%)"],
+    rows: monthly
+      .filter(row => rangeSet.has(row.Month))
+      .map(row => ({
+        "Month": monthToIso(row.Month),
+        "Domestic": row.Slovenia,
+        "Foreign": row.Foreign,
+        "Foreign share (%)": row.ForeignShare === null ? null : +row.ForeignShare.toFixed(2)
+      }))
+  };
+}
+
+
+/* =========================================================
+   WEATHER–TOURISM CORRELATION
+   ========================================================= */
+
+// Tourism measures that can be correlated with weather (dataset field → label)
+const correlationMeasures = {
+  Arrivals:   "Arrivals",
+  Overnights: "Overnight stays"
+};
+
+
+/**
+ * Pearson correlation coefficient
+ * @param {Array<number>} xs
+ * @param {Array<number>} ys - Same length as xs
+ * @returns {number|null} Coefficient (null if undefined)
+ */
+function pearson(xs, ys) {
+  if (xs.length < 3) return null;
+
+  const mx = d3.mean(xs);
+  const my = d3.mean(ys);
+  const cov = d3.sum(xs, (x, i) => (x - mx) * (ys[i] - my));
+  const sx = Math.sqrt(d3.sum(xs, x => (x - mx) ** 2));
+  const sy = Math.sqrt(d3.sum(ys, y => (y - my) ** 2));
+
+  return sx && sy ? cov / (sx * sy) : null;
+}
+
+
+// Ranks of the values (ties get their average rank)
+function ranks(values) {
+  const order = d3.range(values.length).sort((a, b) => values[a] - values[b]);
+  const result = new Array(values.length);
+
+  for (let i = 0; i < order.length;) {
+    let j = i;
+    while (j + 1 < order.length && values[order[j + 1]] === values[order[i]]) j++;
+    for (let k = i; k <= j; k++) result[order[k]] = (i + j) / 2 + 1;
+    i = j + 1;
+  }
+
+  return result;
+}
+
+
+// Spearman rank correlation (Pearson of the ranks)
+function spearman(xs, ys) {
+  return pearson(ranks(xs), ranks(ys));
+}
+
+
+/**
+ * Remove the seasonal cycle: subtract the mean of the same calendar month
+ * @param {Map<string, number>} series - Month key → value
+ * @returns {Map<string, number>} Month key → deviation from the monthly mean
+ */
+function deseasonalize(series) {
+  const monthMeans = d3.rollup(
+    Array.from(series),
+    rows => d3.mean(rows, ([, v]) => v),
+    ([m]) => m.split("M")[1]
+  );
+
+  return new Map(
+    Array.from(series, ([m, v]) => [m, v - monthMeans.get(m.split("M")[1])])
+  );
+}
+
+
+/**
+ * Pair weather in month t with tourism in month t + lag
+ * @param {Array<Object>} dataset - Monthly tourism dataset
+ * @param {Array<Object>} weatherData - Rows of the station CSV
+ * @param {string} attrKey - Weather attribute
+ * @param {string} measure - Key of correlationMeasures
+ * @param {number} lag - Months between weather and tourism
+ * @param {boolean} deseason - Deseasonalize both series first
+ * @param {Set<string>} rangeSet - Weather months to include
+ * @returns {Array<Object>} { Month, TourismMonth, Weather, Tourism }
+ */
+function correlationPairs(dataset, weatherData, attrKey, measure, lag, deseason, rangeSet) {
+  let weather = new Map(
+    weatherData
+      .filter(d => d.Month && typeof d[attrKey] === "number")
+      .map(d => [d.Month, d[attrKey]])
+  );
+  let tourism = new Map(
+    dataset
+      .filter(d => d[measure] !== null && d[measure] !== undefined)
+      .map(d => [d.Month, d[measure]])
+  );
+
+  if (deseason) {
+    weather = deseasonalize(weather);
+    tourism = deseasonalize(tourism);
+  }
 
-  // Left y-axis for arrivals / overnights / beds
-  axesLayer.append("g")
-    .call(d3.axisLeft(yScale).ticks(6));
+  return Array.from(weather)
+    .filter(([m]) => rangeSet.has(m) && tourism.has(shiftMonth(m, lag)))
+    .map(([m, value]) => ({
+      Month: m,
+      TourismMonth: shiftMonth(m, lag),
+      Weather: value,
+      Tourism: tourism.get(shiftMonth(m, lag))
+    }));
+}
 
-  // Right y-axis for average stay (only if enabled)
-  if (showAverageStays) {
-    axesLayer.append("g")
-      .attr("transform", `translate(${innerWidth},0)`)
-      .call(d3.axisRight(yAvgScale).ticks(6));
 
-    // Label for secondary y-axis
+// Format a coefficient for the legend
+function formatCoefficient(value) {
+  return value === null ? "–" : d3.format("+.2f")(value);
+}
+
+
+/**
+ * Correlation view: scatter of a weather attribute against tourism,
+ * one point series, regression line and coefficients per municipality
+ * @param {Array<Array<Object>>} datasets - Chart datasets
+ * @param {string} measure - Key of correlationMeasures
+ * @param {number} lag - Months between weather and tourism
+ * @param {boolean} deseason - Deseasonalize both series first
+ * @returns {{columns: Array<string>, rows: Array<Object>}|null} Plotted table
+ */
+function drawCorrelationChart(datasets, measure, lag, deseason) {
+  if (!activeWeatherData || !activeWeatherAttribute) {
     chartG.append("text")
       .attr("class", "axis-label")
-      .attr("transform",
-        `translate(${innerWidth + 30}, ${innerHeight / 2}) rotate(90)`)
+      .attr("x", innerWidth / 2)
+      .attr("y", innerHeight / 2)
       .attr("text-anchor", "middle")
-      .text("Average stay (nights)");
+      .text("Select a weather station on the map to correlate its data with tourism.");
+
+    d3.select("#chart-title").text("Weather–Tourism Correlation");
+    return null;
   }
 
+  const rangeSet = new Set(activeMonths());
 
-  /* =========================
-     AXIS LABELS
-     ========================= */
+  const series = datasets.map(ds => {
+    const pairs = correlationPairs(
+      ds, activeWeatherData, activeWeatherAttribute, measure, lag, deseason, rangeSet
+    );
+    const xs = pairs.map(p => p.Weather);
+    const ys = pairs.map(p => p.Tourism);
+
+    return {
+      name: ds[0].Municipality,
+      pairs,
+      pearson: pearson(xs, ys),
+      spearman: spearman(xs, ys)
+    };
+  });
 
-  // X-axis label
-  chartG.append("text")
-    .attr("class", "axis-label")
-    .attr("x", innerWidth / 2)
-    .attr("y", innerHeight + 45)
-    .attr("text-anchor", "middle")
-    .text("Month");
+  const seriesColor = name => name === "All Municipalities Combined"
+    ? "#264653"
+    : colorScale(name);
 
-  // Left y-axis label
-  chartG.append("text")
-    .attr("class", "axis-label")
-    .attr("transform", "rotate(-90)")
-    .attr("x", -innerHeight / 2)
-    .attr("y", -60)
-    .attr("text-anchor", "middle")
-    .text("Number of Arrivals / Overnights / Beds");
+  const allPairs = series.flatMap(s => s.pairs);
 
 
-  /* =========================
-     GRIDLINES
-     ========================= */
+  /* -------------------------
+     SCALES & AXES
+     ------------------------- */
 
-  // Horizontal gridlines based on y-scale ticks
-  chartG.append("g")
-    .call(g => g.selectAll("line.grid")
-      .data(yScale.ticks(6))
-      .join("line")
-      .attr("class", "grid")
-      .attr("x1", 0)
-      .attr("x2", innerWidth)
-      .attr("y1", d => yScale(d))
-      .attr("y2", d => yScale(d))
-      .attr("stroke", "#e5e5e5ff"));
+  const x = d3.scaleLinear()
+    .domain(d3.extent(allPairs, p => p.Weather).map(Number))
+    .range([0, innerWidth])
+    .nice();
 
-  // Vertical gridlines marking the start of each year
-  chartG.append("g")
-    .attr("class", "vertical-grid")
-    .selectAll("line")
-    .data(yearTicks)
-    .join("line")
-    .attr("x1", d => xScale(d) + xScale.bandwidth() / 2)
-    .attr("x2", d => xScale(d) + xScale.bandwidth() / 2)
-    .attr("y1", 0)
-    .attr("y2", innerHeight)
-    .attr("stroke", "#e5e5e5ff")
-    .attr("stroke-width", 1);
+  const y = d3.scaleLinear()
+    .domain(deseason
+      ? d3.extent(allPairs, p => p.Tourism)
+      : [0, d3.max(allPairs, p => p.Tourism)])
+    .range([innerHeight, 0])
+    .nice();
+
+  if (allPairs.length === 0) {
+    x.domain([0, 1]);
+    y.domain([0, 1]);
+  }
 
-  // Year labels above the chart
-  chartG.append("g")
-    .attr("class", "year-labels")
-    .selectAll("text")
-    .data(yearTicks)
-    .join("text")
-    .attr("x", d => xScale(d) + xScale.bandwidth() / 2 + 78)
-    .attr("y", -6)
-    .attr("text-anchor", "middle")
-    .attr("font-size", "12px")
-    .attr("font-weight", "500")
-    .attr("fill", "#d7d7d7ff")
-    .text(d => d.split("M")[0]);
+  drawViewGrid(y);
 
+  const axesLayer = chartG.append("g").attr("class", "axes");
 
-  /* =========================
-     LINE GENERATORS
-     ========================= */
+  axesLayer.append("g")
+    .attr("transform", `translate(0,${innerHeight})`)
+    .call(d3.axisBottom(x).ticks(8));
 
-  // Line for arrivals
-  const lineArr = d3.line()
-    .x(d => xScale(d.Month) + xScale.bandwidth() / 2)
-    .y(d => yScale(d.Arrivals));
+  axesLayer.append("g")
+    .call(d3.axisLeft(y).ticks(6));
 
-  // Line for overnight stays
-  const lineOver = d3.line()
-    .x(d => xScale(d.Month) + xScale.bandwidth() / 2)
-    .y(d => yScale(d.Overnights));
+  const deseasonNote = deseason ? " (deviation from monthly mean)" : "";
+  const lagNote = lag ? `, ${lag} month${lag > 1 ? "s" : ""} later` : "";
 
-  // Line for average stay (secondary y-axis)
-  const lineAvg = d3.line()
-    .x(d => xScale(d.Month) + xScale.bandwidth() / 2)
-    .y(d => yAvgScale(d.AverageStay));
+  drawViewAxisLabels(
+    `${weatherAttributeLabel(activeWeatherAttribute)} – ${activeWeatherStation.name}${deseasonNote}`,
+    `${correlationMeasures[measure]}${lagNote}${deseasonNote}`
+  );
 
 
-  /* =========================
-     PLOTTING DATA LAYERS
-     ========================= */
+  /* -------------------------
+     POINTS & REGRESSION LINES
+     ------------------------- */
 
-  // Main layer that holds all line and point elements
   const plotLayer = chartG.append("g").attr("class", "plot-layer");
 
-  // Map used later for legend construction (metric type → label)
-  const metricMap = new Map();
+  series.forEach(s => {
+    const color = seriesColor(s.name);
+
+    plotLayer.selectAll(".dot-corr-" + safeClassName(s.name))
+      .data(s.pairs)
+      .join("circle")
+      .attr("class", "dot-corr-" + safeClassName(s.name))
+      .attr("cx", d => x(d.Weather))
+      .attr("cy", d => y(d.Tourism))
+      .attr("r", 3.5)
+      .attr("fill", color)
+      .attr("fill-opacity", 0.7)
+      .on("mouseover", (event, d) => {
+        chartTooltip
+          .style("display", "block")
+          .html(
+            `<strong>${escapeHtml(s.name)}</strong><br>` +
+            `${formatMonthLabel(d.Month)}: ${escapeHtml(formatWeatherValue(d.Weather, activeWeatherAttribute))}<br>` +
+            `${formatMonthLabel(d.TourismMonth)}: ${d3.format(",.0f")(d.Tourism)}`
+          );
+      })
+      .on("mousemove", event => {
+        chartTooltip
+          .style("left", event.pageX + 12 + "px")
+          .style("top", event.pageY - 28 + "px");
+      })
+      .on("mouseout", () => chartTooltip.style("display", "none"));
+
+    // Least-squares fit over the plotted points
+    if (s.pearson === null) return;
+
+    const xs = s.pairs.map(p => p.Weather);
+    const ys = s.pairs.map(p => p.Tourism);
+    const slope = s.pearson * d3.deviation(ys) / d3.deviation(xs);
+    const intercept = d3.mean(ys) - slope * d3.mean(xs);
+    const [x0, x1] = d3.extent(xs);
+
+    plotLayer.append("line")
+      .attr("class", "line-fit " + safeClassName(s.name))
+      .attr("x1", x(x0))
+      .attr("x2", x(x1))
+      .attr("y1", y(intercept + slope * x0))
+      .attr("y2", y(intercept + slope * x1))
+      .attr("stroke", color)
+      .attr("stroke-width", 1.5)
+      .attr("stroke-dasharray", "4,3");
+  });
 
-  // Loop over each dataset (one per municipality or aggregated)
-  datasets.forEach(data => {
-    const muni = data[0].Municipality;
-    const safe = safeClassName(muni); // CSS-safe class name
-    const color = muni === "All Municipalities Combined"
-      ? "black"
-      : colorScale(muni);
+  drawViewLegend(series.map(s => ({
+    label: `${s.name}: r = ${formatCoefficient(s.pearson)}, ` +
+      `ρ = ${formatCoefficient(s.spearman)} (n = ${s.pairs.length})`,
+    color: seriesColor(s.name)
+  })));
+
+  d3.select("#chart-title")
+    .text(`${activeWeatherAttribute} vs. ${correlationMeasures[measure]} – ${formatPeriod(activeMonths())}`);
+
+  return {
+    columns: ["Municipality", "Weather month", activeWeatherAttribute, "Tourism month", correlationMeasures[measure]],
+    rows: series.flatMap(s => s.pairs.map(p => ({
+      "Municipality": s.name,
+      "Weather month": monthToIso(p.Month),
+      [activeWeatherAttribute]: p.Weather,
+      "Tourism month": monthToIso(p.TourismMonth),
+      [correlationMeasures[measure]]: p.Tourism
+    })))
+  };
+}
 
-    /* ---------- ARRIVALS ---------- */
-    if (showArrivals) {
-      // Register metric for legend
-      metricMap.set("filled", { label: "Arrivals", type: "filled" });
 
-      // Draw arrivals line
-      plotLayer.append("path")
-        .datum(data)
-        .attr("class", "line-arr " + safe)
-        .attr("fill", "none")
-        .attr("stroke", color)
-        .attr("stroke-width", 1.5)
-        .attr("d", lineArr);
+/* =========================================================
+   FIGURE EXPORT (SVG & PNG)
+   ========================================================= */
 
-      // Draw arrivals data points
-      plotLayer.selectAll(".dot-arr-" + safe)
-        .data(data)
-        .join("circle")
-        .attr("class", "dot-arr-" + safe)
-        .attr("cx", d => xScale(d.Month) + xScale.bandwidth() / 2)
-        .attr("cy", d => yScale(d.Arrivals))
-        .attr("r", 3)
-        .attr("fill", color);
-    }
+// Style properties copied inline so exported SVGs render standalone
+const exportStyleProperties = [
+  "fill", "fill-opacity", "stroke", "stroke-width", "stroke-dasharray",
+  "stroke-opacity", "opacity", "font-family", "font-size", "font-weight",
+  "text-anchor", "dominant-baseline", "visibility"
+];
 
-    /* ---------- OVERNIGHT STAYS ---------- */
-    if (showOvernights) {
-      // Register metric for legend
-      metricMap.set("hollow", { label: "Overnights", type: "hollow" });
+// Data sources cited in the dashboard footnote
+const dataSourceNote =
+  "Data: Statistical Office of the Republic of Slovenia (SiStat) – tourist arrivals, " +
+  "overnight stays and beds; Slovenian Environment Agency (ARSO) – weather stations.";
 
-      // Draw overnight stays line (dashed)
-      plotLayer.append("path")
-        .datum(data)
-        .attr("class", "line-over " + safe)
-        .attr("fill", "none")
-        .attr("stroke", color)
-        .attr("stroke-width", 1.5)
-        .attr("stroke-dasharray", "4,2")
-        .attr("d", lineOver);
 
-      // Draw hollow dots for overnight stays
-      plotLayer.selectAll(".dot-over-" + safe)
-        .data(data)
-        .join("circle")
-        .attr("class", "dot-over-" + safe)
-        .attr("cx", d => xScale(d.Month) + xScale.bandwidth() / 2)
-        .attr("cy", d => yScale(d.Overnights))
-        .attr("r", 3)
-        .attr("fill", "#fafafa")
-        .attr("stroke", color)
-        .attr("stroke-width", 2)
-        .style("pointer-events", "all");
-    }
+/**
+ * Clone an SVG element and inline its computed styles
+ * @param {SVGElement} node - Attached source element
+ * @returns {SVGElement} Detached clone with inline styles
+ */
+function cloneWithInlineStyles(node) {
+  const clone = node.cloneNode(true);
 
-    /* ---------- AVERAGE STAY ---------- */
-    if (showAverageStays) {
-      // Register metric for legend
-      metricMap.set("avg", { label: "Average stay", type: "avg" });
+  const sources = [node, ...node.querySelectorAll("*")];
+  const targets = [clone, ...clone.querySelectorAll("*")];
 
-      // Draw average stay line (secondary y-axis)
-      plotLayer.append("path")
-        .datum(data)
-        .attr("class", "line-avg " + safe)
-        .attr("fill", "none")
-        .attr("stroke", color)
-        .attr("stroke-width", 2)
-        .attr("stroke-dasharray", "2,2")
-        .attr("opacity", 0.8)
-        .attr("d", lineAvg);
+  sources.forEach((source, i) => {
+    const computed = window.getComputedStyle(source);
+    const style = exportStyleProperties
+      .map(p => [p, computed.getPropertyValue(p)])
+      .filter(([, v]) => v !== "")
+      .map(([p, v]) => `${p}:${v}`)
+      .join(";");
 
-      // Triangle symbol for average stay points
-      const avgSymbol = d3.symbol()
-        .type(d3.symbolTriangle)
-        .size(40);
+    targets[i].setAttribute("style", style);
+  });
 
-      plotLayer.selectAll(".dot-avg-" + safe)
-        .data(data)
-        .join("path")
-        .attr("class", "dot-avg-" + safe)
-        .attr("d", avgSymbol)
-        .attr(
-          "transform",
-          d => `translate(${xScale(d.Month) + xScale.bandwidth() / 2}, ${yAvgScale(d.AverageStay)})`
-        )
-        .attr("fill", color);
+  // Hidden elements (e.g. tooltips, toggled-off series) and
+  // interaction-only layers do not belong in a figure
+  targets
+    .filter((target, i) => window.getComputedStyle(sources[i]).display === "none")
+    .forEach(n => n.remove());
+  clone.querySelectorAll(".brush, .bg-rect").forEach(n => n.remove());
+
+  return clone;
+}
+
+
+/**
+ * Replace external image references (map tiles) with data URLs,
+ * so the SVG is self-contained and can be rasterized.
+ * Images that cannot be fetched are dropped.
+ * @param {SVGElement} svgNode - Detached SVG element
+ * @returns {Promise<number>} Number of dropped images
+ */
+async function inlineImages(svgNode) {
+  const images = Array.from(svgNode.querySelectorAll("image"));
+  let dropped = 0;
+
+  await Promise.all(images.map(async image => {
+    const href = image.getAttribute("href") ?? image.getAttribute("xlink:href");
+
+    try {
+      const response = await fetch(href, { mode: "cors" });
+      if (!response.ok) throw new Error(response.statusText);
+
+      const blob = await response.blob();
+      const dataUrl = await new Promise((resolve, reject) => {
+        const reader = new FileReader();
+        reader.onload = () => resolve(reader.result);
+        reader.onerror = reject;
+        reader.readAsDataURL(blob);
+      });
+
+      image.setAttribute("href", dataUrl);
+      image.removeAttribute("xlink:href");
+    } catch {
+      dropped++;
+      image.remove();
     }
+  }));
 
-    /* ---------- BEDS (YEARLY BARS) ---------- */
-    if (showBeds) {
-      // Register metric for legend
-      metricMap.set("bar", { label: "Beds (yearly)", type: "bar" });
+  return dropped;
+}
 
-      // Separate layer for bed bars (kept behind lines)
-      const bedsLayer = chartG.append("g")
-        .attr("class", "beds-layer");
 
-      const bedGroupsCount = bedDatasets.length;
+/**
+ * Create a detached SVG root with a white background
+ * @param {number} width
+ * @param {number} height
+ * @returns {d3.Selection} Selection of the new SVG element
+ */
+function createExportSvg(width, height) {
+  const root = d3.create("svg")
+    .attr("xmlns", "http://www.w3.org/2000/svg")
+    .attr("xmlns:xlink", "http://www.w3.org/1999/xlink")
+    .attr("width", width)
+    .attr("height", height)
+    .attr("viewBox", `0 0 ${width} ${height}`)
+    .style("font-family", window.getComputedStyle(document.body).fontFamily);
+
+  root.append("rect")
+    .attr("width", width)
+    .attr("height", height)
+    .attr("fill", "#fff");
+
+  return root;
+}
 
-      // Sort bed datasets by total capacity for consistent ordering
-      bedDatasets.sort(
-        (a, b) => d3.sum(a, d => d.Beds) - d3.sum(b, d => d.Beds)
-      );
 
-      // Draw grouped bars for each year
-      years.forEach(year => {
-        const yearStart = `${year}M01`;
-        const xStart = xScale(yearStart);
-        if (xStart === undefined) return;
+/**
+ * Place a styled copy of an SVG element into an export root
+ * @param {d3.Selection} root - Export SVG root
+ * @param {SVGElement} node - Attached source SVG
+ * @param {number} x - Horizontal offset
+ * @param {number} y - Vertical offset
+ */
+function appendFigurePart(root, node, x, y) {
+  const clone = cloneWithInlineStyles(node);
+  clone.setAttribute("x", x);
+  clone.setAttribute("y", y);
+  root.node().appendChild(clone);
+}
 
-        // Total width covering all months of the year
-        const yearWidth = (xScale.bandwidth() + 2) * 12;
-        const barWidth = yearWidth / bedGroupsCount;
 
-        bedDatasets.forEach((dataset, i) => {
-          const entry = dataset.find(d => d.Year === year);
-          if (!entry) return;
+// Add a text line to an export root
+function appendFigureText(root, text, x, y, size, weight = "normal") {
+  root.append("text")
+    .attr("x", x)
+    .attr("y", y)
+    .attr("font-size", size)
+    .attr("font-weight", weight)
+    .attr("fill", "#222")
+    .text(text);
+}
 
-          const muni = entry.Municipality;
-          const color = muni === "All Municipalities Combined"
-            ? "rgba(120,120,120,0.35)"
-            : d3.color(colorScale(muni)).copy({ opacity: 0.4 });
 
-          bedsLayer.append("rect")
-            .attr("class", "bed-bar " + safeClassName(muni))
-            .attr("x", 5 + xStart + i * barWidth)
-            .attr("width", barWidth)
-            .attr("y", yScale(entry.Beds))
-            .attr("height", innerHeight - yScale(entry.Beds))
-            .attr("fill", color);
-        });
-      });
+/* -------------------------
+   FIGURE BUILDERS
+   ------------------------- */
 
-      // Ensure bars stay behind lines and points
-      bedsLayer.lower();
-    }
-  });
+// Chart with its title
+function buildChartFigure() {
+  const titleHeight = 40;
+  const root = createExportSvg(chartWidth, chartHeight + titleHeight);
+
+  appendFigureText(root, d3.select("#chart-title").text(), 20, 28, 20, 700);
+  appendFigurePart(root, chartSvg.node(), 0, titleHeight);
+
+  return root.node();
+}
+
+
+// Map with its color legend
+function buildMapFigure() {
+  const legendNode = d3.select("#map-color-legend svg").node();
+  const legendHeight = legendNode ? +legendNode.getAttribute("height") : 0;
+  const root = createExportSvg(mapWidth, mapHeight + legendHeight + 10);
 
+  appendFigurePart(root, svg.node(), 0, 0);
+  if (legendNode) appendFigurePart(root, legendNode, 0, mapHeight + 10);
 
+  return root.node();
+}
 
-  /* =========================
-     TITLE
-     ========================= */
 
-  // Chart title (can later be made dynamic based on filters)
-  let titleText = "Tourist Arrivals and Overnights in the Vipava Valley Municipalities";
+// Map, chart, title and data-source footnote side by side
+function buildDashboardFigure() {
+  const padding = 20;
+  const headerHeight = 60;
+  const footerHeight = 40;
 
-  d3.select("#chart-title").text(titleText);
+  const map = buildMapFigure();
+  const chart = buildChartFigure();
 
+  const width  = padding * 3 + mapWidth + chartWidth;
+  const bodyHeight = Math.max(+map.getAttribute("height"), +chart.getAttribute("height"));
+  const height = headerHeight + bodyHeight + footerHeight;
 
-  /* =========================
-     MUNICIPALITY LEGEND
-     ========================= */
+  const root = createExportSvg(width, height);
 
-  // Legend group for municipalities (color-coded)
-  const legend = chartG.append("g")
-    .attr("class", "legend-municipalities")
-    .attr("transform", `translate(20, 0)`);
+  appendFigureText(root, document.querySelector("h1").textContent, padding, 40, 26, 700);
 
-  // Prepare legend data from datasets
-  const legendData = datasets.map(d => ({
-    label: d[0].Municipality,
-    color: d[0].Municipality === "All Municipalities Combined"
-      ? "#264653"
-      : colorScale(d[0].Municipality)
-  }));
+  [[map, padding], [chart, padding * 2 + mapWidth]].forEach(([part, x]) => {
+    part.setAttribute("x", x);
+    part.setAttribute("y", headerHeight);
+    root.node().appendChild(part);
+  });
 
-  const muniRowHeight = 22;
+  appendFigureText(
+    root,
+    `Period: ${formatPeriod(activeMonths())}. ${dataSourceNote}`,
+    padding,
+    headerHeight + bodyHeight + 25,
+    11
+  );
 
-  // Create one legend row per municipality
-  const muniLegend = legend.selectAll("g.row")
-    .data(legendData)
-    .join("g")
-    .attr("class", "row")
-    .attr("transform", (d, i) => `translate(0, ${i * muniRowHeight})`);
+  return root.node();
+}
 
-  // Colored square symbol
-  muniLegend.append("rect")
-    .attr("width", 14)
-    .attr("height", 14)
-    .attr("rx", 3)
-    .attr("ry", 3)
-    .attr("fill", d => d.color);
 
-  // Municipality label
-  muniLegend.append("text")
-    .attr("x", 20)
-    .attr("y", 11)
-    .text(d => d.label)
-    .style("font-size", "12px")
-    .style("fill", "#333");
+/* -------------------------
+   SERIALIZATION & DOWNLOAD
+   ------------------------- */
 
+/**
+ * Trigger a browser download of a blob
+ * @param {Blob} blob - File contents
+ * @param {string} fileName - Suggested file name
+ */
+function downloadBlob(blob, fileName) {
+  const url = URL.createObjectURL(blob);
 
-  /* =========================
-     METRIC LEGEND
-     ========================= */
+  const link = document.createElement("a");
+  link.href = url;
+  link.download = fileName;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
 
-  // Legend group for metric types (arrivals, overnights, average stay, beds)
-  const metricLegend = chartG.append("g")
-    .attr("class", "legend-metrics")
-    .attr("transform",
-      `translate(20, ${legendData.length * muniRowHeight + 10})`
-    );
+  URL.revokeObjectURL(url);
+}
 
-  const metricRowHeight = 20;
 
-  // Convert metricMap to array (unique metric definitions)
-  const metrics = Array.from(metricMap.values());
+/**
+ * Rasterize an SVG string into a PNG blob
+ * @param {string} svgString - Serialized SVG
+ * @param {number} width - SVG width in pixels
+ * @param {number} height - SVG height in pixels
+ * @param {number} scale - Resolution multiplier
+ * @returns {Promise<Blob>}
+ */
+function svgToPngBlob(svgString, width, height, scale) {
+  return new Promise((resolve, reject) => {
+    const url = URL.createObjectURL(
+      new Blob([svgString], { type: "image/svg+xml;charset=utf-8" })
+    );
 
-  // Create legend rows for each metric
-  const metricRows = metricLegend.selectAll("g.row")
-    .data(metrics)
-    .join("g")
-    .attr("class", "row")
-    .attr("transform", (d, i) => `translate(0, ${i * metricRowHeight})`);
+    const image = new Image();
 
-  // Filled circle → Arrivals
-  metricRows
-    .filter(d => d.type === "filled")
-    .append("circle")
-    .attr("cx", 7)
-    .attr("cy", 7)
-    .attr("r", 5)
-    .attr("fill", "#555");
+    image.onload = () => {
+      const canvas = document.createElement("canvas");
+      canvas.width  = Math.round(width * scale);
+      canvas.height = Math.round(height * scale);
 
-  // Hollow circle → Overnight stays
-  metricRows
-    .filter(d => d.type === "hollow")
-    .append("circle")
-    .attr("cx", 7)
-    .attr("cy", 7)
-    .attr("r", 5)
-    .attr("fill", "white")
-    .attr("stroke", "#555")
-    .attr("stroke-width", 1.5);
+      const context = canvas.getContext("2d");
+      context.scale(scale, scale);
+      context.drawImage(image, 0, 0, width, height);
 
-  // Rectangle → Beds (bars)
-  metricRows
-    .filter(d => d.type === "bar")
-    .append("rect")
-    .attr("x", 2)
-    .attr("y", 2)
-    .attr("width", 10)
-    .attr("height", 10)
-    .attr("fill", "#aaa");
+      URL.revokeObjectURL(url);
+      canvas.toBlob(
+        blob => blob ? resolve(blob) : reject(new Error("the image is too large")),
+        "image/png"
+      );
+    };
 
-  // Metric label text
-  metricRows.append("text")
-    .attr("x", 20)
-    .attr("y", 10)
-    .text(d => d.label)
-    .style("font-size", "12px")
-    .style("fill", "#333");
+    image.onerror = () => {
+      URL.revokeObjectURL(url);
+      reject(new Error("the figure could not be rendered"));
+    };
 
-  // Triangle symbol → Average stay
-  metricRows
-    .filter(d => d.type === "avg")
-    .append("path")
-    .attr("d", d3.symbol().type(d3.symbolTriangle).size(60))
-    .attr("transform", "translate(7,7)")
-    .attr("fill", "#555");
+    image.src = url;
+  });
+}
 
 
-  /* =========================
-     BRUSH (TIME RANGE SELECTION)
-     ========================= */
+/**
+ * Export a figure of the current view
+ * @param {string} target - "chart", "map" or "dashboard"
+ * @param {string} format - "svg" or "png"
+ * @param {number} scale - PNG resolution multiplier
+ */
+async function exportFigure(target, format, scale) {
+  const builders = {
+    chart: buildChartFigure,
+    map: buildMapFigure,
+    dashboard: buildDashboardFigure
+  };
 
-  // Layer for brush interaction
-  const brushG = chartG.append("g").attr("class", "brush");
+  const status = d3.select("#export-summary").text("");
 
-  // Horizontal brush for selecting a time range
-  const brush = d3.brushX()
-    .extent([[0, 0], [innerWidth, innerHeight]])
-    .on("start", () => {
-      // Enable pointer events only while brushing
-      brushG.style("pointer-events", "all");
-    })
-    .on("end", brushed);
+  const figure = builders[target]();
+  const dropped = await inlineImages(figure);
 
-  // Attach brush to its layer
-  brushG.call(brush);
+  // Tiles that could not be fetched leave the basemap incomplete
+  const note = dropped > 0
+    ? ` (${dropped} map ${dropped === 1 ? "tile" : "tiles"} could not be embedded and were left out)`
+    : "";
 
-  // Disable pointer events by default (prevents accidental brushing)
-  brushG.style("pointer-events", "none");
+  const svgString = new XMLSerializer().serializeToString(figure);
+  const fileName = `${regionConfig.slug}-${target}.${format}`;
 
+  if (format === "svg") {
+    downloadBlob(new Blob([svgString], { type: "image/svg+xml" }), fileName);
+    if (note) status.text(`${fileName}: exported${note}`);
+    return;
+  }
 
-  /* =========================
-     HELPERS
-     ========================= */
+  const width  = +figure.getAttribute("width");
+  const height = +figure.getAttribute("height");
 
-  // Format month strings (e.g. "2022M03") into readable labels
-  function formatMonthLabel(d) {
-    const [year, month] = d.split("M");
-    return d3.timeFormat("%b %Y")(new Date(year, month - 1));
+  try {
+    const png = await svgToPngBlob(svgString, width, height, scale);
+    downloadBlob(png, fileName);
+    if (note) status.text(`${fileName}: exported${note}`);
+  } catch (err) {
+    status.text(`${fileName}: PNG export failed (${err?.message ?? err})`);
   }
+}
 
 
+// Export button
+d3.select("#export-button").on("click", () => {
+  exportFigure(
+    d3.select("#export-target").property("value"),
+    d3.select("#export-format").property("value"),
+    +d3.select("#export-scale").property("value")
+  );
+});
 
+// PNG resolution only applies to raster exports
+d3.select("#export-format").on("change", () => {
+  const isPng = d3.select("#export-format").property("value") === "png";
+  d3.select("#export-scale").property("disabled", !isPng);
+});
 
-  /* =========================================================
-    SUMMARY TOOLTIP HTML GENERATOR
-    ========================================================= */
 
-  /**
-   * Generate HTML content for the chart tooltip
-   * based on aggregated municipality summaries and
-   * enabled display options.
-   *
-   * @param {Array<Object>} summaries - Aggregated data per municipality
-   * @param {string} periodText - Human-readable time range label
-   * @param {Object} options - Display toggles
-   * @param {boolean} options.showArrivals
-   * @param {boolean} options.showOvernights
-   * @param {boolean} options.showAverageStays
-   * @param {boolean} options.showBeds
-   * @returns {string} HTML string for tooltip content
-   */
-  function generateSummaryHTML(summaries, periodText, options) {
+/* =========================================================
+   DATA EXPORT (CSV & JSON)
+   ========================================================= */
 
-    // Destructure display options
-    const {
-      showArrivals,
-      showOvernights,
-      showAverageStays,
-      showBeds
-    } = options;
+// Convert a month key (e.g. "2022M03") into ISO format ("2022-03")
+function monthToIso(m) {
+  const [year, month] = m.split("M");
+  return `${year}-${month.padStart(2, "0")}`;
+}
 
 
-    /* -------------------------
-      HTML CONSTRUCTION
-      ------------------------- */
+/**
+ * Build the monthly table of the plotted series
+ * (visible metrics only, restricted to the brushed time range)
+ * @returns {{columns: Array<string>, rows: Array<Object>}}
+ */
+function buildMonthlyExportTable() {
+  const { country, datasets, bedDatasets, months } = plottedData;
+  const monthSet = new Set(months);
+
+  // One weather column per shown station
+  const weatherColumns = showWeather
+    ? visibleWeatherStations().map(({ station, data }) => ({
+        column: `${activeWeatherAttribute} (${station.name})`,
+        byMonth: new Map(data.map(w => [w.Month, w[activeWeatherAttribute]]))
+      }))
+    : [];
+
+  const columns = ["Municipality", "Month", "Country"];
+  if (showArrivals)     columns.push("Arrivals");
+  if (showOvernights)   columns.push("Overnight stays");
+  if (showAverageStays) columns.push("Average stay (nights)");
+  if (showBeds)         columns.push("Beds (yearly)");
+
+  const capacityColumn = capacityMetrics[capacityMetric] ?? null;
+  if (capacityColumn)   columns.push(capacityColumn);
+  weatherColumns.forEach(w => columns.push(w.column));
+
+  // Year-over-year view exports the plotted change as well
+  const yoyColumn = chartMode === "yoy"
+    ? `${viewMetrics[viewMetric]} change vs. same month last year (%)`
+    : null;
+  if (yoyColumn) columns.push(yoyColumn);
+
+  const yoyByMonth = new Map(
+    datasets.map(ds => [
+      ds[0].Municipality,
+      new Map(yoyChange(ds, viewMetric).map(d => [d.Month, d.Change]))
+    ])
+  );
 
-    const html = `
-      <strong>Period:</strong> ${periodText}<br>
-      ${summaries.map(s => {
+  const rows = datasets.flatMap(dataset =>
+    dataset
+      .filter(d => monthSet.has(d.Month))
+      .map(d => {
+        const row = {
+          "Municipality": d.Municipality,
+          "Month": monthToIso(d.Month),
+          "Country": country
+        };
 
-        // Start section for one municipality
-        const lines = [
-          `<hr><strong>${s.muni}</strong><br>`
-        ];
+        if (showArrivals)     row["Arrivals"] = d.Arrivals;
+        if (showOvernights)   row["Overnight stays"] = d.Overnights;
+        if (showAverageStays) row["Average stay (nights)"] = +d.AverageStay.toFixed(2);
 
-        // Arrivals
-        if (showArrivals) {
-          lines.push(
-            `Arrivals: ${s.sumArr.toLocaleString()}<br>`
-          );
+        if (showBeds) {
+          const year = +d.Month.split("M")[0];
+          const beds = bedDatasets.flat()
+            .find(b => b.Municipality === d.Municipality && b.Year === year);
+          row["Beds (yearly)"] = beds ? beds.Beds : null;
         }
 
-        // Overnights
-        if (showOvernights) {
-          lines.push(
-            `Overnights: ${s.sumOver.toLocaleString()}<br>`
-          );
+        if (capacityColumn) {
+          const value = d[capacityMetric];
+          row[capacityColumn] = value === null ? null : +value.toFixed(2);
         }
 
-        // Average length of stay
-        if (showAverageStays) {
-          lines.push(
-            `Average stay: ${s.avgStay.toFixed(2)} nights<br>`
-          );
-        }
+        weatherColumns.forEach(w => {
+          row[w.column] = w.byMonth.get(d.Month) ?? null;
+        });
 
-        // Beds per year
-        if (showBeds) {
-          lines.push(
-            `Beds: ${s.bedsByYear
-              .map(b => `${b.beds.toLocaleString()} (${b.year})`)
-              .join(", ")}<br>`
-          );
+        if (yoyColumn) {
+          const change = yoyByMonth.get(d.Municipality).get(d.Month);
+          row[yoyColumn] = change === null ? null : +change.toFixed(1);
         }
 
-        // Combine all lines for this municipality
-        return lines.join("");
+        return row;
+      })
+  );
+
+  return { columns, rows };
+}
+
+
+/**
+ * Build the summary table of the brushed time range
+ * (same values as the summary panel)
+ * @returns {{columns: Array<string>, rows: Array<Object>}}
+ */
+function buildSummaryExportTable() {
+  const { country, summaries, months } = plottedData;
+
+  const years = Array.from(
+    new Set(months.map(m => +m.split("M")[0]))
+  ).sort(d3.ascending);
+
+  const columns = ["Municipality", "Country", "Period start", "Period end"];
+  if (showArrivals)     columns.push("Arrivals");
+  if (showOvernights)   columns.push("Overnight stays");
+  if (showAverageStays) columns.push("Average stay (nights)");
+  if (showBeds)         columns.push(...years.map(y => `Beds ${y}`));
+
+  const rows = summaries.map(s => {
+    const row = {
+      "Municipality": s.muni,
+      "Country": country,
+      "Period start": monthToIso(months[0]),
+      "Period end": monthToIso(months[months.length - 1])
+    };
+
+    if (showArrivals)     row["Arrivals"] = s.sumArr;
+    if (showOvernights)   row["Overnight stays"] = s.sumOver;
+    if (showAverageStays) row["Average stay (nights)"] = +s.avgStay.toFixed(2);
+
+    if (showBeds) {
+      s.bedsByYear.forEach(b => { row[`Beds ${b.year}`] = b.beds; });
+    }
+
+    return row;
+  });
+
+  return { columns, rows };
+}
+
+
+/**
+ * Download the data behind the current chart
+ * @param {string} table - "monthly" or "summary"
+ * @param {string} format - "csv" or "json"
+ */
+function exportData(table, format) {
+  if (!plottedData) return;
 
-      }).join("")}
-    `;
+  // Market, correlation and anomaly views export the table they plot
+  const { columns, rows } = table === "summary"
+    ? buildSummaryExportTable()
+    : plottedData.viewTable ?? buildMonthlyExportTable();
 
-    return html;
+  const fileName =
+    `${regionConfig.slug}-${table}-${safeClassName(plottedData.country).toLowerCase()}.${format}`;
+
+  if (format === "csv") {
+    downloadBlob(
+      new Blob([d3.csvFormat(rows, columns)], { type: "text/csv;charset=utf-8" }),
+      fileName
+    );
+    return;
   }
 
+  // JSON carries the selection alongside the rows
+  const json = {
+    country: plottedData.country,
+    period: {
+      start: monthToIso(plottedData.months[0]),
+      end: monthToIso(plottedData.months[plottedData.months.length - 1])
+    },
+    // The grid shows every municipality when none is selected
+    municipalities: chartMode === "municipalities"
+      ? plottedData.viewTable.columns.slice(1)
+      : plottedData.datasets.map(d => d[0].Municipality),
+    weather: activeWeatherData && showWeather
+      ? {
+          station: activeWeatherStation.name,
+          attribute: activeWeatherAttribute,
+          comparedStations: comparedWeatherStations.map(c => c.station.name)
+        }
+      : null,
+    columns,
+    rows
+  };
 
-  /* =========================================================
-    BRUSH HANDLER (CHART SELECTION)
-    ========================================================= */
+  downloadBlob(
+    new Blob([JSON.stringify(json, null, 2)], { type: "application/json" }),
+    fileName
+  );
+}
 
-  /**
-   * Handle brush selection on the chart
-   * Calculates aggregated values for the selected time range
-   * and displays them in a tooltip.
-   */
-  function brushed(event) {
 
-    /* -------------------------
-      BRUSH SELECTION
-      ------------------------- */
+// Data export button
+d3.select("#data-export-button").on("click", () => {
+  exportData(
+    d3.select("#data-export-table").property("value"),
+    d3.select("#data-export-format").property("value")
+  );
+});
 
-    const selection = event.selection;
 
-    // Hide tooltip if brush is cleared
-    if (!selection) {
-      chartTooltip.style("display", "none");
-      return;
+/* =========================================================
+   DATA UPLOAD (DRAG & DROP)
+   ========================================================= */
+
+/**
+ * Apply an uploaded SiStat or ARSO CSV and keep it for the next visit
+ * The file is validated like the bundled data, merged into or replacing
+ * the current data, and the views are refreshed.
+ * @param {File} file - Dropped or selected file
+ * @param {string} mode - "merge" or "replace"
+ * @returns {Promise<string>} Summary of what changed
+ */
+async function uploadDataFile(file, mode) {
+  const buffer = await file.arrayBuffer();
+  const label  = `Uploaded: ${file.name}`;
+
+  const kind = detectUploadKind(buffer);
+  if (!kind) {
+    reportDataQuality(label, [{
+      severity: "error",
+      message: "Not a tourism, beds or weather station file (key columns not found)"
+    }]);
+    return `${file.name}: not recognized`;
+  }
+
+  const schema = dataSchemas[kind];
+  const { rows, issues } = parseCsvData(buffer, schema);
+  reportDataQuality(label, issues);
+
+  if (!rows) return `${file.name}: required columns missing`;
+  if (rows.length === 0) return `${file.name}: no valid rows`;
+
+  let station = null;
+  let current;
+
+  if (kind === "weather") {
+    station = uploadedStation(rows, file.name);
+    if (!station) {
+      addDataQualityIssues(label, [{ severity: "error", message: "Unknown weather station" }]);
+      return `${file.name}: unknown weather station`;
     }
+    current = await loadWeatherCSV(station) ?? [];
+  } else {
+    current = kind === "tourism" ? tourismData : bedsData;
+  }
 
+  const { rows: merged, diff } = mergeData(current, rows, schema, mode);
 
-    /* -------------------------
-      FIND SELECTED MONTHS
-      ------------------------- */
 
-    // Determine which months fall inside the brushed pixel range
-    const indices = months.filter(m => {
-      const px = monthCenterPx(m, xScale);
-      return px >= selection[0] && px <= selection[1];
-    });
+  /* -------------------------
+     REFRESH VIEWS
+     ------------------------- */
 
-    // Abort if no months are selected
-    if (indices.length === 0) {
-      chartTooltip.style("display", "none");
-      return;
+  // The upload is applied first; a refresh that fails restores the previous
+  // data and the selection it pruned
+  const previous = {
+    tourismData,
+    bedsData,
+    municipalities: new Set(activeMunicipalities),
+    timeRange: activeTimeRange
+  };
+
+  try {
+    if (kind === "weather") {
+      addWeatherIndices(merged);
+      await reloadWeatherStation(station, merged);
+    } else {
+      if (kind === "tourism") tourismData = merged;
+      if (kind === "beds")    bedsData    = merged;
+      refreshDataViews();
+    }
+  } catch (err) {
+    ({ tourismData, bedsData } = previous);
+    activeMunicipalities = previous.municipalities;
+    activeTimeRange = previous.timeRange;
+    if (kind === "weather") {
+      await reloadWeatherStation(station, current);
+    } else {
+      refreshDataViews();
     }
+    throw err;
+  }
 
+  // Only an upload that could be shown is kept for the next visit
+  try {
+    await storeUpload({
+      name: file.name,
+      kind,
+      stationId: station?.id ?? null,
+      mode,
+      buffer,
+      date: new Date().toISOString()
+    });
+  } catch (err) {
+    throw new Error(`shown for this visit only, it could not be stored: ${err?.message ?? err}`);
+  }
 
-    /* -------------------------
-      SELECTED YEARS
-      ------------------------- */
+  const target = station ? `station ${station.name}` : `${kind} data`;
+  return `${file.name} (${mode === "merge" ? "merged into" : "replaced"} ${target}): ${describeDataDiff(diff)}`;
+}
 
-    // Extract unique years from selected months
-    const selectedYears = Array.from(
-      new Set(indices.map(d => +d.split("M")[0]))
-    ).sort(d3.ascending);
 
+// Station of an uploaded weather file, by its station name or file name
+function uploadedStation(rows, fileName) {
+  const name = rows[0]["station name"]?.trim().toLowerCase();
+  const id   = fileName.replace(/\.csv$/i, "").toLowerCase();
 
-    /* -------------------------
-      DATA AGGREGATION
-      ------------------------- */
+  return weatherStations.find(s => s.name.toLowerCase() === name || s.id === id) ?? null;
+}
 
-    const summaries = datasets.map(ds => {
 
-      const muni = ds[0].Municipality;
+// Show new data of a station (hover cards, active or compared series)
+async function reloadWeatherStation(station, data) {
+  hoverCardData.set(station.id, Promise.resolve(data));
 
-      // Filter dataset to selected months
-      const sub = ds.filter(d => indices.includes(d.Month));
+  const compared = comparedWeatherStations.find(c => c.station.id === station.id);
+  if (compared) compared.data = data;
 
-      // Aggregate arrivals and overnights
-      const sumArr  = d3.sum(sub, d => d.Arrivals);
-      const sumOver = d3.sum(sub, d => d.Overnights);
+  if (activeWeatherStation?.id === station.id) {
+    await activateWeatherStation(station, activeWeatherAttribute, data);
+  }
 
-      // Calculate average stay length
-      const avgStay = sumArr ? (sumOver / sumArr) : 0;
+  updateLineChart();
+}
 
 
-      /* -------------------------
-        BEDS BY YEAR
-        ------------------------- */
+// Redraw the map and chart after the tourism or beds data changed
+function refreshDataViews() {
+  checkMunicipalityNames(allMunicipalityNames(), tourismData, bedsData);
 
-      let bedsByYear = [];
+  // Merged tourism files can add source markets
+  populateCountrySelects();
 
-      // Special handling for aggregated municipality
-      if (muni === "All Municipalities Combined") {
+  // Municipalities left without tourism rows (e.g. after a replace upload)
+  // cannot be charted and are deselected
+  activeMunicipalities.forEach(name => {
+    if (!hasTourismRows(name)) activeMunicipalities.delete(name);
+  });
 
-        bedsByYear = selectedYears.map(y => ({
-          year: y,
-          beds: d3.sum(
-            bedsData.filter(d => d.Year === y),
-            d => d.Beds
-          )
-        }));
+  // The time range is clamped to the months still in the data
+  // (and cleared when none of them remain)
+  if (activeTimeRange) {
+    const inRange = activeMonths();
+    activeTimeRange = inRange.length > 0
+      ? [inRange[0], inRange[inRange.length - 1]]
+      : null;
+  }
 
-      } else {
+  updateMap(municipalityGeo, municipalityNameKey);
+  updateLineChart();
+  pushUrlState();
+}
 
-        bedsByYear = selectedYears.map(y => {
-          const row = bedsData.find(
-            d => d.Municipality === muni && d.Year === y
-          );
 
-          return {
-            year: y,
-            beds: row ? row.Beds : 0
-          };
-        });
-      }
+// Upload several files one after the other and list what changed
+async function uploadDataFiles(files) {
+  const mode = d3.select("#upload-mode").property("value");
+  const csvFiles = Array.from(files).filter(f => /\.csv$/i.test(f.name));
+  if (csvFiles.length === 0) return;
+
+  // A file that fails is reported and the next one is still applied
+  const summaries = [];
+  for (const file of csvFiles) {
+    try {
+      summaries.push(await uploadDataFile(file, mode));
+    } catch (err) {
+      addDataQualityIssues(`Uploaded: ${file.name}`, [{
+        severity: "error",
+        message: `Upload failed (${err?.message ?? err})`
+      }]);
+      summaries.push(`${file.name}: failed (${err?.message ?? err})`);
+    }
+  }
 
-      return {
-        muni,
-        sumArr,
-        sumOver,
-        avgStay,
-        bedsByYear
-      };
-    });
+  d3.select("#upload-summary")
+    .selectAll("div")
+    .data(summaries)
+    .join("div")
+    .text(d => d);
+}
 
 
-    /* -------------------------
-      PERIOD LABEL
-      ------------------------- */
+/* -------------------------
+   UPLOAD EVENTS
+   ------------------------- */
 
-    const startLabel = formatMonthLabel(indices[0]);
-    const endLabel   = formatMonthLabel(indices[indices.length - 1]);
+d3.select("#upload-input").on("change", async event => {
+  await uploadDataFiles(event.target.files);
+  event.target.value = ""; // allow the same file to be chosen again
+});
 
-    const periodText =
-      startLabel === endLabel
-        ? startLabel
-        : `${startLabel} – ${endLabel}`;
+// Remove uploads and start again from the bundled data
+d3.select("#upload-clear").on("click", async () => {
+  try {
+    await clearStoredUploads();
+    location.reload();
+  } catch (err) {
+    d3.select("#upload-summary").text(`Uploads could not be removed (${err?.message ?? err})`);
+  }
+});
 
+// Files can be dropped anywhere on the page
+let dragDepth = 0; // nested dragenter/dragleave events
+
+d3.select(document)
+  .on("dragenter", event => {
+    if (!event.dataTransfer?.types.includes("Files")) return;
+    dragDepth++;
+    d3.select("#drop-overlay").style("display", "flex");
+  })
+  .on("dragover", event => {
+    if (event.dataTransfer?.types.includes("Files")) event.preventDefault();
+  })
+  .on("dragleave", () => {
+    dragDepth = Math.max(0, dragDepth - 1);
+    if (dragDepth === 0) d3.select("#drop-overlay").style("display", "none");
+  })
+  .on("drop", event => {
+    if (!event.dataTransfer?.files.length) return;
+    event.preventDefault();
+
+    dragDepth = 0;
+    d3.select("#drop-overlay").style("display", "none");
+    uploadDataFiles(event.dataTransfer.files);
+  });
 
-    /* -------------------------
-      TOOLTIP CONTENT
-      ------------------------- */
 
-    const html = generateSummaryHTML(
-      summaries,
-      periodText,
-      {
-        showArrivals,
-        showOvernights,
-        showAverageStays,
-        showBeds
-      }
-    );
+/* =========================================================
+   DATA TABLE (ACCESSIBLE CHART ALTERNATIVE)
+   ========================================================= */
 
+// Numbers in the data table (thousands separators, up to two decimals)
+const formatTableValue = d3.format(",.2~f");
 
-    /* -------------------------
-      TOOLTIP POSITIONING
-      ------------------------- */
+/**
+ * Fill the data table below the chart with the plotted data
+ * (the table the data export writes); only built while it is expanded
+ */
+function updateChartTable() {
+  const container = d3.select("#chart-table-content");
+  container.selectAll("*").remove();
+
+  if (!plottedData || !d3.select("#chart-table").property("open")) return;
+
+  const { columns, rows } = plottedData.viewTable ?? buildMonthlyExportTable();
+
+  const table = container.append("table");
+
+  table.append("caption")
+    .text(`${d3.select("#chart-title").text()}, ${formatPeriod(plottedData.months)}`);
+
+  table.append("thead")
+    .append("tr")
+    .selectAll("th")
+    .data(columns)
+    .join("th")
+    .attr("scope", "col")
+    .text(c => c);
+
+  table.append("tbody")
+    .selectAll("tr")
+    .data(rows)
+    .join("tr")
+    .selectAll("td")
+    .data(row => columns.map(c => row[c]))
+    .join("td")
+    .text(v => v == null ? "n/a" : typeof v === "number" ? formatTableValue(v) : v);
+}
 
-    const [mx, my] = d3.pointer(event, document.body);
 
-    chartTooltip
-      .style("left", `${mx + 12}px`)
-      .style("top", `${my - 18}px`)
-      .style("display", "block")
-      .html(html);
-  }
-}
\ No newline at end of file
+// Build the table when it is expanded
+d3.select("#chart-table").on("toggle", updateChartTable);